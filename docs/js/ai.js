@@ -0,0 +1,225 @@
+import { hasLineOfSight } from "./map.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Enemy awareness and behaviour: what each enemy sees, hears and does next.
+// ──────────────────────────────────────────────────────────────────────────────
+
+// idle ⇄ patrol ──sees / hears / is hit──▶ alert ──reacted──▶ chase
+// alert ──nothing there──▶ search      chase ──loses sight──▶ search
+// search ──sees──▶ chase               search ──gives up──▶ idle
+// any ──low on health──▶ retreat ──got away──▶ idle (or chase if seen)
+export const AI_STATES = {
+  IDLE: "idle",
+  PATROL: "patrol",
+  ALERT: "alert",
+  CHASE: "chase",
+  SEARCH: "search",
+  RETREAT: "retreat",
+};
+
+const NOTICE_RANGE = 1.5; // seen from any side this close
+const REACTION_MS = 400; // alert → chase once the player is in sight
+const IDLE_MS = 2000; // rest between patrol legs
+const SEARCH_MS = 3000; // look around the last known position this long
+const RETREAT_MS = 6000; // longest a retreat lasts
+const ARRIVED_RANGE = 0.6; // close enough to a patrol point or a lead
+const LOOK_AROUND_SPEED = 0.02; // radians per tick while idle or searching
+
+/**
+ * Starting awareness for a new enemy: idle, knowing nothing.
+ *
+ * @param {number} now - game time in ms
+ * @param {number} [patrolIndex] - the level enemy spawn to patrol to first
+ */
+export const createAI = (now, patrolIndex = 0) => ({
+  state: AI_STATES.IDLE,
+  since: now,
+  lastKnown: null, // {x, y} where the player was last seen or heard
+  patrolIndex, // next of the level's enemy spawn points to walk to
+  lookingSince: null, // when a search reached the last known position
+  refuge: null, // {x, y} a retreat is headed for
+  retreated: false, // enemies retreat once
+});
+
+/** How far apart two angles are, in [0, π], however many turns each has. */
+export const angleDifference = (a, b) =>
+  Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+
+/**
+ * True if the enemy can see the player right now.
+ *
+ * @param {Object} enemy - {x, y, angle}
+ * @param {Object} type - its archetype ({sight, fov})
+ * @param {Object} player - {x, y}
+ */
+export function canSeePlayer(enemy, type, player) {
+  const distance = Math.hypot(player.x - enemy.x, player.y - enemy.y);
+  if (distance > type.sight) return false;
+  const bearing = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+  const inView =
+    distance < NOTICE_RANGE ||
+    angleDifference(bearing, enemy.angle) <= type.fov / 2;
+  return inView && hasLineOfSight(enemy.x, enemy.y, player.x, player.y);
+}
+
+const enter = (enemy, state, now, changes = {}) => ({
+  ...enemy,
+  ai: { ...enemy.ai, state, since: now, ...changes },
+});
+
+/**
+ * Something worth looking into at (x, y): a gunshot, or being shot. Calm
+ * enemies turn alert; hunting ones just update where they're headed.
+ *
+ * @param {Object} enemy
+ * @param {number} x
+ * @param {number} y
+ * @param {number} now - game time in ms
+ * @returns {Object} the enemy, updated
+ */
+export function alertTo(enemy, x, y, now) {
+  const lastKnown = { x, y };
+  switch (enemy.ai.state) {
+    case AI_STATES.IDLE:
+    case AI_STATES.PATROL:
+      return enter(enemy, AI_STATES.ALERT, now, { lastKnown });
+    case AI_STATES.RETREAT:
+      return enemy;
+    case AI_STATES.SEARCH: // a fresh lead: go and look there instead
+      return { ...enemy, ai: { ...enemy.ai, lastKnown, lookingSince: null } };
+    default:
+      return { ...enemy, ai: { ...enemy.ai, lastKnown } };
+  }
+}
+
+/**
+ * True if a gunshot at (x, y) reaches the enemy.
+ *
+ * @param {Object} enemy - {x, y}
+ * @param {Object} type - its archetype ({hearing})
+ */
+export function canHear(enemy, type, x, y) {
+  const distance = Math.hypot(x - enemy.x, y - enemy.y);
+  if (distance > type.hearing) return false;
+  return distance <= type.hearing / 2 || hasLineOfSight(enemy.x, enemy.y, x, y);
+}
+
+const reached = (enemy, point) =>
+  Math.hypot(point.x - enemy.x, point.y - enemy.y) < ARRIVED_RANGE;
+
+const lookAround = (enemy) => ({
+  ...enemy,
+  angle: (enemy.angle + LOOK_AROUND_SPEED) % (Math.PI * 2),
+});
+
+// The patrol/retreat point furthest from the player
+const furthestFrom = (points, player) =>
+  points.reduce((best, point) =>
+    Math.hypot(point.x - player.x, point.y - player.y) >
+    Math.hypot(best.x - player.x, best.y - player.y)
+      ? point
+      : best,
+  );
+
+/**
+ * One tick of an enemy's thinking: perception, then state transitions.
+ * The result's `goal` is where the enemy wants to walk this tick ({x, y},
+ * or null to stand still), and `sees` whether it can see the player.
+ *
+ * @param {Object} enemy
+ * @param {Object} type - its archetype
+ * @param {Object} player
+ * @param {{x: number, y: number}[]} patrolPoints - the level's enemy spawns
+ * @param {number} now - game time in ms
+ * @returns {Object} the enemy with its new `ai`, `goal` and `sees`
+ */
+export function think(enemy, type, player, patrolPoints, now) {
+  const sees = canSeePlayer(enemy, type, player);
+  const playerAt = { x: player.x, y: player.y };
+  const seen = sees ? { lastKnown: playerAt } : {};
+  const e = { ...enemy, sees, ai: { ...enemy.ai, ...seen } };
+  const { ai } = e;
+  const elapsed = now - ai.since;
+  const stay = (next) => ({ ...next, goal: null });
+  const walk = (next, goal) => ({ ...next, goal });
+
+  const lowOnHealth = e.health <= type.health * type.retreatAt;
+  const calm = ai.state === AI_STATES.IDLE || ai.state === AI_STATES.PATROL;
+  if (lowOnHealth && !ai.retreated && !calm && patrolPoints.length > 0) {
+    const safe = furthestFrom(patrolPoints, player);
+    return walk(
+      enter(e, AI_STATES.RETREAT, now, { retreated: true, refuge: safe }),
+      safe,
+    );
+  }
+
+  switch (ai.state) {
+    case AI_STATES.IDLE:
+      if (sees) return stay(enter(e, AI_STATES.ALERT, now));
+      if (elapsed >= IDLE_MS && patrolPoints.length > 0) {
+        return stay(enter(e, AI_STATES.PATROL, now));
+      }
+      return stay(lookAround(e));
+
+    case AI_STATES.PATROL: {
+      if (sees) return stay(enter(e, AI_STATES.ALERT, now));
+      const point = patrolPoints[ai.patrolIndex % patrolPoints.length];
+      if (!point || reached(e, point)) {
+        return stay(
+          enter(e, AI_STATES.IDLE, now, { patrolIndex: ai.patrolIndex + 1 }),
+        );
+      }
+      return walk(e, point);
+    }
+
+    case AI_STATES.ALERT: {
+      // Turn towards the trouble, and react after a moment
+      const lead = ai.lastKnown ?? playerAt;
+      const facing = {
+        ...e,
+        angle: Math.atan2(lead.y - e.y, lead.x - e.x),
+      };
+      if (elapsed < REACTION_MS) return stay(facing);
+      if (sees) return walk(enter(facing, AI_STATES.CHASE, now), playerAt);
+      return walk(
+        enter(facing, AI_STATES.SEARCH, now, { lookingSince: null }),
+        lead,
+      );
+    }
+
+    case AI_STATES.CHASE:
+      if (sees) return walk(e, playerAt);
+      return walk(
+        enter(e, AI_STATES.SEARCH, now, { lookingSince: null }),
+        ai.lastKnown,
+      );
+
+    case AI_STATES.SEARCH:
+      if (sees) return walk(enter(e, AI_STATES.CHASE, now), playerAt);
+      if (!ai.lastKnown || reached(e, ai.lastKnown)) {
+        // Arrived: look about for a while, then give up
+        const lookingSince = ai.lookingSince ?? now;
+        if (now - lookingSince >= SEARCH_MS) {
+          return stay(
+            enter(e, AI_STATES.IDLE, now, {
+              lastKnown: null,
+              lookingSince: null,
+            }),
+          );
+        }
+        return stay(lookAround({ ...e, ai: { ...ai, lookingSince } }));
+      }
+      return walk(e, ai.lastKnown);
+
+    case AI_STATES.RETREAT:
+      if (reached(e, ai.refuge) || elapsed >= RETREAT_MS) {
+        return sees
+          ? walk(enter(e, AI_STATES.CHASE, now), playerAt)
+          : stay(enter(e, AI_STATES.IDLE, now));
+      }
+      return walk(e, ai.refuge);
+
+    default:
+      return stay(e);
+  }
+}
@@ -0,0 +1,97 @@
+// ──────────────────────────────────────────────────────────────────────────────
+// Fixed-timestep driving for the simulation. The game only ever advances in
+// whole TICK_MS steps of game time, however fast or slow frames arrive; the
+// renderer blends the last two states by the leftover fraction of a tick.
+// ──────────────────────────────────────────────────────────────────────────────
+export const TICK_MS = 1000 / 60; // every per-tick speed in the game assumes this
+const MAX_TICKS_PER_FRAME = 5; // after a stall, drop time rather than spiral
+
+/**
+ * Turns real elapsed time into simulation ticks with an accumulator.
+ *
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - real-time source in ms (injectable
+ *   for tests and replays)
+ * @param {number} [options.tickMs]
+ * @returns {{advance: () => {ticks: number, alpha: number}, reset: () => void}}
+ *   advance() says how many ticks to step since the last call, and how far
+ *   (0..1) into the next tick the frame being drawn is
+ */
+export function createFixedStepClock({
+  now = () => performance.now(),
+  tickMs = TICK_MS,
+} = {}) {
+  let last = null;
+  let accumulator = 0;
+
+  return {
+    advance() {
+      const current = now();
+      accumulator += last === null ? 0 : current - last;
+      last = current;
+
+      let ticks = Math.floor(accumulator / tickMs);
+      if (ticks > MAX_TICKS_PER_FRAME) {
+        ticks = MAX_TICKS_PER_FRAME;
+        accumulator = ticks * tickMs;
+      }
+      accumulator -= ticks * tickMs;
+      return { ticks, alpha: accumulator / tickMs };
+    },
+    // Forget elapsed time, e.g. after a pause, so nothing is caught up
+    reset() {
+      last = null;
+      accumulator = 0;
+    },
+  };
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+const lerpAngle = (a, b, t) => {
+  const delta =
+    ((((b - a) % (Math.PI * 2)) + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+  return a + delta * t;
+};
+
+// Blend things that exist in both states (matched by id) by position
+const lerpById = (previous, current, alpha) => {
+  const before = new Map(previous.map((item) => [item.id, item]));
+  return current.map((item) => {
+    const from = before.get(item.id);
+    return from
+      ? {
+          ...item,
+          x: lerp(from.x, item.x, alpha),
+          y: lerp(from.y, item.y, alpha),
+        }
+      : item;
+  });
+};
+
+/**
+ * A copy of `current` with the player, enemies and projectiles placed
+ * `alpha` of the way from where they were in `previous` to where they are
+ * now. For drawing only; never step() it.
+ *
+ * @param {Object} previous - the state one tick before `current`
+ * @param {Object} current
+ * @param {number} alpha - 0 = previous, 1 = current
+ */
+export function interpolateState(previous, current, alpha) {
+  if (!previous || previous === current || alpha >= 1) return current;
+  const from = previous.player;
+  const to = current.player;
+  return {
+    ...current,
+    player: {
+      ...to,
+      x: lerp(from.x, to.x, alpha),
+      y: lerp(from.y, to.y, alpha),
+      angle: lerpAngle(from.angle, to.angle, alpha),
+      pitch: lerp(from.pitch, to.pitch, alpha),
+    },
+    enemies: lerpById(previous.enemies, current.enemies, alpha),
+    projectiles: lerpById(previous.projectiles, current.projectiles, alpha),
+  };
+}
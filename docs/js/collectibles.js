@@ -1,86 +1,91 @@
 import { GAME_CONFIG } from "./utils.js";
-import { calculateDistance, worldToScreen, spriteCache } from "./utils.js";
+import { calculateDistance, spriteCache } from "./utils.js";
+import { KEY_COLORS } from "./doors.js";
+import { streamRng } from "./random.js";
+import { emitEvent, GAME_EVENTS } from "./events.js";
 
-export function spawnCheese(state, x, y) {
+export function spawnCheese(state, x, y, type = null) {
   if (!state.collectibles) {
     state.collectibles = [];
   }
 
-  const cheeseType = `CHEESE_${Math.floor(Math.random() * 3) + 1}`;
+  const rng = streamRng(state.random, "loot");
+  const cheeseType = type ?? `CHEESE_${rng.int(1, 3)}`;
   state.collectibles.push({
     x,
     y,
     type: cheeseType,
     collected: false,
-    rotationAngle: Math.random() * Math.PI * 2,
+    rotationAngle: rng.next() * Math.PI * 2,
     bobHeight: 0,
-    bobSpeed: 0.05,
+    bobSpeed: 0.005, // radians per ms (~1.3s per bob)
   });
 }
 
-export function updateCollectibles(state, player) {
+// Drop a door key (see doors.js) at a world position
+export function spawnKey(state, x, y, keyId) {
+  state.collectibles.push({
+    x,
+    y,
+    type: "KEY",
+    keyId,
+    collected: false,
+    rotationAngle: 0,
+    bobHeight: 0,
+    bobSpeed: 0.005, // radians per ms (~1.3s per bob)
+  });
+}
+
+// Place every pickup listed in the level data
+export function spawnLevelPickups(state, level) {
+  level.pickups.forEach(({ x, y, type }) => spawnCheese(state, x, y, type));
+}
+
+export function updateCollectibles(state, player, now) {
   if (!state.collectibles) return;
 
   state.collectibles.forEach((cheese) => {
     if (cheese.collected) return;
 
     // Update floating animation
-    cheese.bobHeight = Math.sin(Date.now() * cheese.bobSpeed) * 0.1;
+    cheese.bobHeight = Math.sin(now * cheese.bobSpeed) * 0.1;
 
     // Check collection
     const dx = player.x - cheese.x;
     const dy = player.y - cheese.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
 
+    // What a pickup gives is up to the pickupCollected handlers
     if (distance < 0.5) {
       cheese.collected = true;
-      if (!state.score) state.score = 0;
-      state.score += 100;
-      // Heal player when collecting cheese
-      player.health = Math.min(player.maxHealth, player.health + 25);
+      emitEvent(state, GAME_EVENTS.PICKUP_COLLECTED, {
+        pickup: { ...cheese },
+      });
     }
   });
 }
 
-export function renderCollectibles(ctx, state, player, canvas) {
-  if (!state.collectibles) return;
-
-  state.collectibles.forEach((cheese) => {
-    if (cheese.collected) return;
-
-    const { screenX, screenY, size } = worldToScreen(
-      cheese.x,
-      cheese.y + cheese.bobHeight,
-      player.x,
-      player.y,
-      player.angle,
-      canvas,
-    );
-
-    // Skip if outside view
-    if (screenX < -size || screenX > canvas.width + size) return;
-
-    // Draw cheese sprite
-    ctx.save();
-
-    const sprite = spriteCache[cheese.type];
-    if (sprite) {
-      const height = size;
-      const width = height;
-
-      ctx.drawImage(
-        sprite,
-        screenX - width / 2,
-        screenY - height / 2,
-        width,
-        height,
-      );
-
-      // Add glow effect
-      ctx.shadowColor = "rgba(255, 255, 0, 0.5)";
-      ctx.shadowBlur = 15;
-    }
+// Pickups are PICKUP_SIZE world units across and hover PICKUP_HOVER above
+// the floor, bobbing by bobHeight
+export const PICKUP_SIZE = 0.3;
+const PICKUP_HOVER = 0.1;
+
+// Height of a pickup's centre above the floor
+export const pickupHeight = (item) =>
+  PICKUP_SIZE / 2 + PICKUP_HOVER + item.bobHeight;
+
+// Draw one pickup billboard (projected and clipped by drawWorldSprites)
+export function drawCollectible(ctx, item, { screenX, screenY, size }) {
+  const drawSize = size * PICKUP_SIZE;
+  const half = drawSize / 2;
+  if (item.keyId) {
+    ctx.fillStyle = KEY_COLORS[item.keyId] ?? "#ffffff";
+    ctx.fillRect(screenX - half, screenY - half / 2, drawSize, half);
+    return;
+  }
 
-    ctx.restore();
-  });
+  const sprite = spriteCache[item.type];
+  if (sprite) {
+    ctx.drawImage(sprite, screenX - half, screenY - half, drawSize, drawSize);
+  }
 }
@@ -0,0 +1,299 @@
+import { GAME_CONFIG } from "./utils.js";
+import { hasLineOfSight } from "./map.js";
+import { isWalkableTile } from "./pathfinding.js";
+import { angleDifference } from "./ai.js";
+import { getActiveLevel } from "./level.js";
+import { ENEMY_TYPES, addEnemy } from "./enemy.js";
+import { WEAPONS, WEAPON_ORDER } from "./weapons.js";
+import { streamRng } from "./random.js";
+import { emitEvent, GAME_EVENTS } from "./events.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Wave director: decides when enemies arrive, which ones and where.
+//
+// A run is a break, wave 1, a break, wave 2, ... Each wave has a set number
+// of each enemy type, let in one at a time (`spawnIntervalMs` apart, at most
+// `maxAlive` at once); the wave is over when all of them are dead. After the
+// listed waves run out, the last one repeats, `growth` bigger each time.
+//
+// Pacing adapts to how the player is doing: low on health or ammo, enemies
+// come slower, fewer at a time and breaks last longer; healthy and well
+// stocked, the opposite. Enemies appear out of the player's sight and at
+// least `minSpawnDistance` tiles away; when no spawn point is both for a
+// while, one that is either will do, and failing that any that isn't blocked.
+//
+// Levels can set any of the DEFAULT_WAVES settings in a "waves" object, e.g.
+//
+//   "waves": {
+//     "breakMs": 8000,
+//     "list": [{ "grunt": 3 }, { "grunt": 4, "runner": 2 }]
+//   }
+// ──────────────────────────────────────────────────────────────────────────────
+export const DEFAULT_WAVES = {
+  firstBreakMs: 3000, // before wave 1
+  breakMs: 10000, // between waves
+  spawnIntervalMs: 2000,
+  maxAlive: 6,
+  minSpawnDistance: 5, // tiles from the player
+  growth: 0.25, // per wave past the end of the list
+  list: [
+    { grunt: 3 },
+    { grunt: 4, runner: 2 },
+    { grunt: 4, runner: 2, gunner: 1 },
+    { grunt: 3, runner: 3, charger: 1, gunner: 2 },
+    { grunt: 4, runner: 2, tank: 1, charger: 2, gunner: 2, sniper: 1 },
+  ],
+};
+
+// How the player is doing → how hard to push
+const STRUGGLING = { health: 0.4, ammo: 0.15 }; // below either
+const CRUISING = { health: 0.8, ammo: 0.5 }; // above both
+const PACE = {
+  struggling: { interval: 2, break: 1.5, maxAlive: -2 },
+  steady: { interval: 1, break: 1, maxAlive: 0 },
+  cruising: { interval: 0.75, break: 0.75, maxAlive: 1 },
+};
+
+const VIEW_MARGIN = 0.3; // radians past the edge of the screen still "in view"
+// Enemies land up to a tile either way of their spawn point (see enemy.js)
+const SPAWN_SCATTER = Math.SQRT2;
+// With nowhere hidden and far enough, settle for either after this long
+const SPAWN_PATIENCE_MS = 5000;
+
+const isNonNegative = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+const withDefaults = (level) => ({ ...DEFAULT_WAVES, ...(level.waves ?? {}) });
+
+/**
+ * Everything wrong with a level's "waves" settings, as readable messages
+ * (level.validateLevel only checks that it is an object).
+ *
+ * @param {Object} level - normalised level (see level.validateLevel)
+ * @returns {string[]} empty when the settings are usable
+ */
+export function findWaveProblems(level) {
+  const config = withDefaults(level);
+  const errors = [];
+
+  Object.keys(DEFAULT_WAVES)
+    .filter((key) => key !== "list" && !isNonNegative(config[key]))
+    .forEach((key) => errors.push(`waves.${key} must be a number, 0 or more`));
+  if (config.maxAlive < 1) errors.push("waves.maxAlive must be at least 1");
+
+  if (!Array.isArray(config.list) || config.list.length === 0) {
+    errors.push("waves.list must be a non-empty array of waves");
+  } else {
+    config.list.forEach((wave, i) =>
+      Object.entries(wave ?? {}).forEach(([type, count]) => {
+        if (!ENEMY_TYPES[type]) {
+          errors.push(`waves.list[${i}]: unknown enemy type "${type}"`);
+        }
+        if (!Number.isInteger(count) || count < 0) {
+          errors.push(
+            `waves.list[${i}].${type} must be a whole number, 0 or more`,
+          );
+        }
+      }),
+    );
+  }
+  return errors;
+}
+
+/**
+ * A level's wave settings over DEFAULT_WAVES, checked.
+ *
+ * @param {Object} level - normalised level (see level.validateLevel)
+ * @returns {Object} complete settings
+ * @throws {Error} listing every problem found (see findWaveProblems)
+ */
+export function waveConfig(level) {
+  const errors = findWaveProblems(level);
+  if (errors.length > 0) {
+    throw new Error(`Invalid level "${level.id}":\n  ${errors.join("\n  ")}`);
+  }
+  return withDefaults(level);
+}
+
+// Settings for the active level, worked out once per level
+let configured = { level: null, config: DEFAULT_WAVES };
+function activeConfig() {
+  const level = getActiveLevel();
+  if (level && configured.level !== level) {
+    configured = { level, config: waveConfig(level) };
+  }
+  return configured.config;
+}
+
+/**
+ * A director about to start its first break.
+ *
+ * @param {Object} level - the level the run is on (its waves are checked)
+ * @param {number} now - game time in ms
+ * @returns {{wave: number, breakEndsAt: number | null, queue: string[],
+ *            lastSpawn: number | null, waitingSince: number | null}}
+ */
+export function createDirector(level, now) {
+  return {
+    wave: 0, // the current (or last) wave's number, from 1
+    breakEndsAt: now + waveConfig(level).firstBreakMs, // null mid-wave
+    queue: [], // enemy types still to come this wave, in order
+    lastSpawn: null,
+    waitingSince: null, // when the next spawn first found nowhere to go
+  };
+}
+
+/** Enemies this wave still has to offer: alive now, or yet to come. */
+export const enemiesRemaining = (state) =>
+  state.director.queue.length + state.enemies.length;
+
+/** Milliseconds until the next wave, or 0 mid-wave. */
+export const breakRemaining = (state) =>
+  state.director.breakEndsAt === null
+    ? 0
+    : Math.max(0, state.director.breakEndsAt - state.time);
+
+const ammoLeft = (state) => {
+  const rounds = WEAPON_ORDER.reduce(
+    (sum, id) => sum + state.arsenal[id].loaded + state.arsenal[id].reserve,
+    0,
+  );
+  const capacity = WEAPON_ORDER.reduce(
+    (sum, id) => sum + WEAPONS[id].magazine + WEAPONS[id].maxReserve,
+    0,
+  );
+  return rounds / capacity;
+};
+
+function pace(state) {
+  const health = state.player.health / state.player.maxHealth;
+  const ammo = ammoLeft(state);
+  if (health < STRUGGLING.health || ammo < STRUGGLING.ammo) {
+    return PACE.struggling;
+  }
+  if (health > CRUISING.health && ammo > CRUISING.ammo) return PACE.cruising;
+  return PACE.steady;
+}
+
+// How many of each type wave n brings
+function waveCounts(config, wave) {
+  const listed = config.list[wave - 1];
+  if (listed) return listed;
+  const last = config.list[config.list.length - 1];
+  const scale = (1 + config.growth) ** (wave - config.list.length);
+  return Object.fromEntries(
+    Object.entries(last).map(([type, count]) => [
+      type,
+      Math.round(count * scale),
+    ]),
+  );
+}
+
+// Every enemy of the wave, shuffled (Fisher–Yates on the spawn stream)
+function waveQueue(state, config, wave) {
+  const rng = streamRng(state.random, "spawn");
+  const queue = Object.entries(waveCounts(config, wave)).flatMap(
+    ([type, count]) => Array(count).fill(type),
+  );
+  for (let i = queue.length - 1; i > 0; i--) {
+    const j = rng.int(0, i);
+    [queue[i], queue[j]] = [queue[j], queue[i]];
+  }
+  return queue;
+}
+
+function startWave(state, config) {
+  const director = state.director;
+  director.wave++;
+  director.breakEndsAt = null;
+  director.queue = waveQueue(state, config, director.wave);
+  director.lastSpawn = null;
+  director.waitingSince = null;
+  emitEvent(state, GAME_EVENTS.WAVE_STARTED, {
+    wave: director.wave,
+    enemies: director.queue.length,
+  });
+}
+
+function endWave(state, config, now) {
+  const director = state.director;
+  director.breakEndsAt = now + config.breakMs * pace(state).break;
+  emitEvent(state, GAME_EVENTS.WAVE_CLEARED, { wave: director.wave });
+}
+
+const inPlayerView = (point, player) => {
+  const bearing = Math.atan2(point.y - player.y, point.x - player.x);
+  const off = angleDifference(bearing, player.angle);
+  return (
+    off <= GAME_CONFIG.FOV / 2 + VIEW_MARGIN &&
+    hasLineOfSight(player.x, player.y, point.x, point.y)
+  );
+};
+
+// Spawn points out of sight and far enough away; if there are none for a
+// while, ones that are at least one or the other, or else any at all. Spawn
+// points in a wall or a closed door never count.
+function spawnPoints(state, config, now) {
+  const { player, director } = state;
+  const points = (getActiveLevel()?.enemySpawns ?? [])
+    .filter(({ x, y }) => isWalkableTile(Math.floor(x), Math.floor(y)))
+    .map((point) => ({
+      point,
+      hidden: !inPlayerView(point, player),
+      far:
+        Math.hypot(point.x - player.x, point.y - player.y) >=
+        config.minSpawnDistance + SPAWN_SCATTER,
+    }));
+  const ideal = points.filter(({ hidden, far }) => hidden && far);
+  if (ideal.length > 0) return ideal.map(({ point }) => point);
+
+  const waited =
+    director.waitingSince !== null &&
+    now - director.waitingSince >= SPAWN_PATIENCE_MS;
+  if (!waited) return [];
+  const either = points.filter(({ hidden, far }) => hidden || far);
+  return (either.length > 0 ? either : points).map(({ point }) => point);
+}
+
+function spawnNext(state, config, now) {
+  const director = state.director;
+  const { interval, maxAlive } = pace(state);
+  const due =
+    director.lastSpawn === null ||
+    now - director.lastSpawn >= config.spawnIntervalMs * interval;
+  const room = state.enemies.length < Math.max(1, config.maxAlive + maxAlive);
+  if (!due || !room) return;
+
+  const points = spawnPoints(state, config, now);
+  if (points.length === 0) {
+    if (director.waitingSince === null) director.waitingSince = now;
+    return;
+  }
+  addEnemy(state, now, director.queue.shift(), points);
+  director.lastSpawn = now;
+  director.waitingSince = null;
+}
+
+/**
+ * One tick of the director: run down the break, let the wave's enemies in,
+ * and call the wave over once they're all dead. Reports waveStarted and
+ * waveCleared events.
+ *
+ * @param {Object} state
+ * @param {number} now - game time in ms
+ */
+export function updateDirector(state, now) {
+  if (!getActiveLevel()) return;
+  const config = activeConfig();
+  const director = state.director;
+
+  if (director.breakEndsAt !== null) {
+    if (now >= director.breakEndsAt) startWave(state, config);
+    return;
+  }
+  if (director.queue.length > 0) {
+    spawnNext(state, config, now);
+  } else if (state.enemies.length === 0) {
+    endWave(state, config, now);
+  }
+}
@@ -0,0 +1,251 @@
+// ──────────────────────────────────────────────────────────────────────────────
+// Doors & switches
+//
+// Door cells use DOOR_TILE in the level grid; the door panel sits on the
+// cell's midline and slides sideways as it opens. Switch cells (SWITCH_TILE)
+// are solid walls that toggle their linked doors when used.
+//
+// Level config (all optional per door; doors default to proximity, unlocked):
+//   "doors":    [{ "x": 5, "y": 3, "trigger": "proximity" | "use" | "switch",
+//                  "key": "red" }]
+//   "switches": [{ "x": 11, "y": 2, "doors": [{ "x": 11, "y": 5 }] }]
+//
+// How far each door is open and which way each switch is flipped is part of
+// the game state (`state.doors`, `state.switches`, keyed by "x,y"). The map
+// queries (map.js, pathfinding.js) read the doors setActiveDoors() last
+// handed them; step() hands them the state it is stepping.
+// ──────────────────────────────────────────────────────────────────────────────
+export const DOOR_TILE = 10;
+export const SWITCH_TILE = 11;
+
+export const DOOR_TRIGGER = {
+  PROXIMITY: "proximity", // opens when the player walks up to it
+  USE: "use", // opens with the use key
+  SWITCH: "switch", // only a linked switch opens it
+};
+
+export const KEY_COLORS = {
+  red: "#ff3030",
+  blue: "#3070ff",
+  yellow: "#ffd000",
+};
+
+const DOOR_SPEED_PER_TICK = 0.03; // open fraction per frame (~0.5s to open)
+const DOOR_HOLD_MS = 3000; // auto-close delay for non-switch doors
+const DOOR_PASSABLE_AT = 0.8; // open fraction at which actors fit through
+const DOOR_TRIGGER_RANGE = 1.2; // proximity trigger distance from door centre
+const USE_RANGE = 1; // how far in front of the player "use" reaches
+const OCCUPANT_RADIUS = 0.3; // keep doors open while anything stands in them
+
+let activeDoors = {}; // "x,y" → door, from the state last stepped or drawn
+const doorChangeListeners = [];
+
+const cellKey = (x, y) => `${x},${y}`;
+
+/** Door at a tile, or undefined. */
+export const getDoor = (x, y) => activeDoors[cellKey(x, y)];
+
+/** Every active door. */
+export const getDoors = () => Object.values(activeDoors);
+
+/** True once a door is open far enough for actors to pass. */
+export const isDoorPassable = (door) => door.openAmount >= DOOR_PASSABLE_AT;
+
+/**
+ * Subscribe to the active doors being replaced, or one of them becoming
+ * passable or blocked.
+ *
+ * @param {() => void} listener
+ */
+export function onDoorChange(listener) {
+  doorChangeListeners.push(listener);
+}
+
+const notifyDoorChange = () =>
+  doorChangeListeners.forEach((listener) => listener());
+
+// Same door tiles, each just as passable: nothing a path could notice
+const sameBlocking = (a, b) => {
+  const keys = Object.keys(b);
+  return (
+    keys.length === Object.keys(a).length &&
+    keys.every((key) => a[key]?.passable === b[key].passable)
+  );
+};
+
+/**
+ * Make a state's doors the ones the map queries see (collision, rays, line
+ * of sight, paths). Listeners only hear about it when a door tile or a
+ * door's passability differs from the doors active before.
+ *
+ * @param {Object} doors - `state.doors`
+ */
+export function setActiveDoors(doors) {
+  const changed = !sameBlocking(activeDoors, doors);
+  activeDoors = doors;
+  if (changed) notifyDoorChange();
+}
+
+const isSolidTile = (grid, x, y) =>
+  y < 0 || y >= grid.length || x < 0 || x >= grid[0].length || grid[y][x] !== 0;
+
+/**
+ * Doors and switches as a level starts: every door closed, every switch off.
+ *
+ * @param {Object} level - normalised level (see level.validateLevel)
+ * @returns {{doors: Object, switches: Object}} "x,y" → door / switch, for
+ *   `state.doors` and `state.switches`
+ */
+export function createDoors({ grid, doors = [], switches = [] }) {
+  const doorCells = grid.flatMap((row, y) =>
+    row.flatMap((tile, x) => (tile === DOOR_TILE ? [{ x, y }] : [])),
+  );
+  return {
+    doors: Object.fromEntries(
+      doorCells.map(({ x, y }) => {
+        const config = doors.find((d) => d.x === x && d.y === y) ?? {};
+        const door = {
+          x,
+          y,
+          // Walls above and below → the passage runs along x, so the panel
+          // lies on the vertical midline x + 0.5 (and vice versa)
+          axis:
+            isSolidTile(grid, x, y - 1) && isSolidTile(grid, x, y + 1)
+              ? "x"
+              : "y",
+          trigger: config.trigger ?? DOOR_TRIGGER.PROXIMITY,
+          key: config.key ?? null,
+          openAmount: 0,
+          opening: false,
+          openedAt: 0,
+          passable: false,
+        };
+        return [cellKey(x, y), door];
+      }),
+    ),
+    switches: Object.fromEntries(
+      switches.map(({ x, y, doors: targets }) => [
+        cellKey(x, y),
+        { x, y, on: false, targets },
+      ]),
+    ),
+  };
+}
+
+const hasKeyFor = (state, door) =>
+  !door.key || state.inventory.keys.includes(door.key);
+
+const isOccupied = (door, actors) =>
+  actors.some(
+    (a) =>
+      a.x + OCCUPANT_RADIUS > door.x &&
+      a.x - OCCUPANT_RADIUS < door.x + 1 &&
+      a.y + OCCUPANT_RADIUS > door.y &&
+      a.y - OCCUPANT_RADIUS < door.y + 1,
+  );
+
+const openDoor = (door, now) => {
+  door.opening = true;
+  door.openedAt = now;
+};
+
+/**
+ * Advance door animation, proximity triggers and auto-closing.
+ * Doors never close on the player or an enemy.
+ */
+export function updateDoors(state, player, now) {
+  const actors = [player, ...(state.enemies ?? [])];
+
+  Object.values(state.doors).forEach((door) => {
+    const distance = Math.hypot(
+      player.x - (door.x + 0.5),
+      player.y - (door.y + 0.5),
+    );
+    if (
+      door.trigger === DOOR_TRIGGER.PROXIMITY &&
+      distance < DOOR_TRIGGER_RANGE &&
+      hasKeyFor(state, door)
+    ) {
+      openDoor(door, now);
+    }
+
+    if (
+      door.opening &&
+      door.trigger !== DOOR_TRIGGER.SWITCH &&
+      now - door.openedAt > DOOR_HOLD_MS &&
+      distance >= DOOR_TRIGGER_RANGE
+    ) {
+      door.opening = false;
+    }
+    // Only doors already part open can close on someone; leaning on a shut
+    // (maybe locked) one doesn't open it
+    if (!door.opening && door.openAmount > 0 && isOccupied(door, actors)) {
+      door.opening = true;
+    }
+
+    door.openAmount = Math.min(
+      1,
+      Math.max(
+        0,
+        door.openAmount +
+          (door.opening ? DOOR_SPEED_PER_TICK : -DOOR_SPEED_PER_TICK),
+      ),
+    );
+
+    const passable = isDoorPassable(door);
+    if (passable !== door.passable) {
+      door.passable = passable;
+      notifyDoorChange();
+    }
+  });
+}
+
+/**
+ * Use whatever is directly in front of the player: toggles a "use" door
+ * (if unlocked) or flips a switch and its linked doors.
+ */
+export function useFacingTile(state, player, now) {
+  const x = Math.floor(player.x + Math.cos(player.angle) * USE_RANGE);
+  const y = Math.floor(player.y + Math.sin(player.angle) * USE_RANGE);
+
+  const door = state.doors[cellKey(x, y)];
+  if (door) {
+    if (door.trigger !== DOOR_TRIGGER.SWITCH && hasKeyFor(state, door)) {
+      if (door.opening) door.opening = false;
+      else openDoor(door, now);
+    }
+    return;
+  }
+
+  const switchTile = state.switches[cellKey(x, y)];
+  if (switchTile) {
+    switchTile.on = !switchTile.on;
+    switchTile.targets.forEach(({ x: doorX, y: doorY }) => {
+      const target = state.doors[cellKey(doorX, doorY)];
+      if (!target) return;
+      if (switchTile.on) openDoor(target, now);
+      else target.opening = false;
+    });
+  }
+}
+
+/**
+ * Keys that locked doors need but that nobody holds, carries or has dropped
+ * yet; the spawner hands these to new enemies.
+ */
+export function missingKeys(state) {
+  const inPlay = new Set([
+    ...state.inventory.keys,
+    ...state.enemies.map((e) => e.carriesKey).filter(Boolean),
+    ...state.collectibles
+      .filter((c) => c.keyId && !c.collected)
+      .map((c) => c.keyId),
+  ]);
+  return [
+    ...new Set(
+      Object.values(state.doors)
+        .map((door) => door.key)
+        .filter(Boolean),
+    ),
+  ].filter((key) => !inPlay.has(key));
+}
@@ -0,0 +1,511 @@
+import { drawTopDown } from "./render.js";
+import {
+  LEVEL_FORMAT_VERSION,
+  getActiveLevel,
+  validateLevel,
+  serializeLevel,
+  findPlayabilityProblems,
+} from "./level.js";
+import { DOOR_TILE, SWITCH_TILE, DOOR_TRIGGER, KEY_COLORS } from "./doors.js";
+import { GAME_CONFIG } from "./utils.js";
+import { findWaveProblems } from "./director.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Level editor: paints a level in the level.js format on a scaled-up
+// top-down view (the minimap renderer), imports / exports JSON and hands the
+// result to the game for a playtest. Toggle with L.
+const EDITOR_TOGGLE_KEY = "l";
+const NEW_LEVEL_SIZE = 16;
+const VIEW_MARGIN = 20; // px around the map
+const STATUS_HEIGHT = 28; // px reserved for the status line
+
+const TOOLS = [
+  ...Object.entries(GAME_CONFIG.WALL_MATERIALS)
+    .filter(
+      ([tile]) => Number(tile) !== DOOR_TILE && Number(tile) !== SWITCH_TILE,
+    )
+    .map(([tile, material]) => ({
+      id: `wall-${tile}`,
+      label: `Wall: ${material.name}`,
+      kind: "tile",
+      tile: Number(tile),
+    })),
+  { id: "erase", label: "Floor (erase)", kind: "tile", tile: 0 },
+  { id: "door", label: "Door", kind: "door", trigger: DOOR_TRIGGER.PROXIMITY },
+  {
+    id: "door-use",
+    label: "Door: use key",
+    kind: "door",
+    trigger: DOOR_TRIGGER.USE,
+  },
+  ...Object.keys(KEY_COLORS).map((key) => ({
+    id: `door-${key}`,
+    label: `Door: ${key} key`,
+    kind: "door",
+    trigger: DOOR_TRIGGER.USE,
+    key,
+  })),
+  {
+    id: "door-switch",
+    label: "Door: switch only",
+    kind: "door",
+    trigger: DOOR_TRIGGER.SWITCH,
+  },
+  { id: "switch", label: "Switch (then click doors to link)", kind: "switch" },
+  ...Object.entries(GAME_CONFIG.FLOOR_MATERIALS).map(
+    ([material, { name }]) => ({
+      id: `floor-${material}`,
+      label: `Floor: ${name}`,
+      kind: "floor",
+      material: Number(material),
+    }),
+  ),
+  { id: "start", label: "Player start", kind: "start" },
+  { id: "spawn", label: "Enemy spawn", kind: "spawn" },
+  { id: "pickup", label: "Pickup", kind: "pickup" },
+];
+// ──────────────────────────────────────────────────────────────────────────────
+
+const editor = {
+  active: false,
+  level: null, // normalised level being edited
+  tool: TOOLS[0],
+  selectedSwitch: null,
+  painting: false,
+  hover: null,
+  status: "",
+  toolbar: null,
+  onOpen: null,
+  onPlaytest: null,
+};
+
+export const isEditorActive = () => editor.active;
+
+const blankLevel = (width, height) => {
+  const grid = Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (_, x) =>
+      x === 0 || y === 0 || x === width - 1 || y === height - 1 ? 2 : 0,
+    ),
+  );
+  return validateLevel({
+    version: LEVEL_FORMAT_VERSION,
+    id: "untitled",
+    name: "Untitled",
+    grid,
+    playerStart: { x: 1.5, y: 1.5, angle: 0 },
+    enemySpawns: [{ x: width - 1.5, y: height - 1.5 }],
+    pickups: [],
+  });
+};
+
+const cloneLevel = (level) => JSON.parse(JSON.stringify(level));
+
+// ── Editing ─────────────────────────────────────────────────────────────────
+const sameTile = (point, x, y) =>
+  Math.floor(point.x) === x && Math.floor(point.y) === y;
+
+const isFloorTile = (x, y) => editor.level.grid[y][x] === 0;
+
+function setTile(x, y, tile) {
+  const level = editor.level;
+  if (tile !== 0 && sameTile(level.playerStart, x, y)) {
+    editor.status = "Move the player start before building over it";
+    return;
+  }
+  level.grid[y][x] = tile;
+
+  // Markers and configs only make sense on the tile kinds they belong to
+  if (tile !== 0) {
+    level.enemySpawns = level.enemySpawns.filter((p) => !sameTile(p, x, y));
+    level.pickups = level.pickups.filter((p) => !sameTile(p, x, y));
+  }
+  if (tile !== DOOR_TILE) {
+    level.doors = level.doors.filter((d) => d.x !== x || d.y !== y);
+    level.switches.forEach((s) => {
+      s.doors = s.doors.filter((d) => d.x !== x || d.y !== y);
+    });
+  }
+  if (tile !== SWITCH_TILE) {
+    level.switches = level.switches.filter((s) => s.x !== x || s.y !== y);
+    if (editor.selectedSwitch && sameTile(editor.selectedSwitch, x, y)) {
+      editor.selectedSwitch = null;
+    }
+  }
+}
+
+// Put a marker on a floor tile, or take it off if one is already there
+function toggleMarker(list, x, y) {
+  if (!isFloorTile(x, y)) return list;
+  return list.some((p) => sameTile(p, x, y))
+    ? list.filter((p) => !sameTile(p, x, y))
+    : [...list, { x: x + 0.5, y: y + 0.5 }];
+}
+
+function applyTool(x, y, isDrag) {
+  const level = editor.level;
+  const tool = editor.tool;
+
+  switch (tool.kind) {
+    case "tile":
+      setTile(x, y, tool.tile);
+      break;
+    case "floor":
+      if (level.grid[y][x] === 0 || level.grid[y][x] === DOOR_TILE) {
+        level.floor[y][x] = tool.material;
+      }
+      break;
+    case "door":
+      setTile(x, y, DOOR_TILE);
+      if (level.grid[y][x] !== DOOR_TILE) break;
+      level.doors = [
+        ...level.doors.filter((d) => d.x !== x || d.y !== y),
+        { x, y, trigger: tool.trigger, key: tool.key },
+      ];
+      break;
+    case "switch": {
+      if (isDrag) break;
+      const existing = level.switches.find((s) => s.x === x && s.y === y);
+      if (existing) {
+        editor.selectedSwitch = existing;
+      } else if (level.grid[y][x] === DOOR_TILE && editor.selectedSwitch) {
+        const targets = editor.selectedSwitch.doors;
+        editor.selectedSwitch.doors = targets.some(
+          (d) => d.x === x && d.y === y,
+        )
+          ? targets.filter((d) => d.x !== x || d.y !== y)
+          : [...targets, { x, y }];
+      } else {
+        setTile(x, y, SWITCH_TILE);
+        if (level.grid[y][x] !== SWITCH_TILE) break;
+        editor.selectedSwitch = { x, y, doors: [] };
+        level.switches = [...level.switches, editor.selectedSwitch];
+      }
+      break;
+    }
+    case "start":
+      if (isFloorTile(x, y)) {
+        level.playerStart = { ...level.playerStart, x: x + 0.5, y: y + 0.5 };
+      }
+      break;
+    case "spawn":
+      if (!isDrag) level.enemySpawns = toggleMarker(level.enemySpawns, x, y);
+      break;
+    case "pickup":
+      if (!isDrag) level.pickups = toggleMarker(level.pickups, x, y);
+      break;
+  }
+}
+
+// ── View ────────────────────────────────────────────────────────────────────
+function viewLayout(canvas) {
+  const { grid } = editor.level;
+  const tileSize = Math.floor(
+    Math.min(
+      (canvas.width - VIEW_MARGIN * 2) / grid[0].length,
+      (canvas.height - VIEW_MARGIN * 2 - STATUS_HEIGHT) / grid.length,
+    ),
+  );
+  return {
+    tileSize,
+    originX: Math.floor((canvas.width - tileSize * grid[0].length) / 2),
+    originY: VIEW_MARGIN,
+  };
+}
+
+function tileFromEvent(event, canvas) {
+  const rect = canvas.getBoundingClientRect();
+  const { tileSize, originX, originY } = viewLayout(canvas);
+  const px = ((event.clientX - rect.left) * canvas.width) / rect.width;
+  const py = ((event.clientY - rect.top) * canvas.height) / rect.height;
+  const x = Math.floor((px - originX) / tileSize);
+  const y = Math.floor((py - originY) / tileSize);
+  const { grid } = editor.level;
+  return y >= 0 && y < grid.length && x >= 0 && x < grid[0].length
+    ? { x, y }
+    : null;
+}
+
+/**
+ * Draw the level being edited onto the game canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawEditor(ctx, canvas) {
+  const level = editor.level;
+  const { tileSize, originX, originY } = viewLayout(canvas);
+  const width = level.grid[0].length;
+  const height = level.grid.length;
+  const centre = (p) => [p.x * tileSize, p.y * tileSize];
+
+  ctx.fillStyle = "#111111";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.save();
+  ctx.translate(originX, originY);
+  ctx.fillStyle = "#222222";
+  ctx.fillRect(0, 0, width * tileSize, height * tileSize);
+  drawTopDown(ctx, level.grid, tileSize, { floor: level.floor });
+
+  // Grid lines
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+  ctx.beginPath();
+  for (let x = 0; x <= width; x++) {
+    ctx.moveTo(x * tileSize + 0.5, 0);
+    ctx.lineTo(x * tileSize + 0.5, height * tileSize);
+  }
+  for (let y = 0; y <= height; y++) {
+    ctx.moveTo(0, y * tileSize + 0.5);
+    ctx.lineTo(width * tileSize, y * tileSize + 0.5);
+  }
+  ctx.stroke();
+
+  // Door keys / triggers
+  ctx.font = `${Math.floor(tileSize * 0.5)}px monospace`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  level.doors.forEach((door) => {
+    ctx.fillStyle = door.key ? KEY_COLORS[door.key] : "#000000";
+    const label = { use: "E", switch: "S" }[door.trigger] ?? "";
+    ctx.fillText(
+      label || "D",
+      (door.x + 0.5) * tileSize,
+      (door.y + 0.5) * tileSize,
+    );
+  });
+
+  // Switch links
+  level.switches.forEach((switchTile) => {
+    const isSelected = switchTile === editor.selectedSwitch;
+    ctx.strokeStyle = isSelected ? "#3CFF3C" : "rgba(60, 200, 60, 0.6)";
+    ctx.lineWidth = isSelected ? 3 : 1;
+    switchTile.doors.forEach((door) => {
+      ctx.beginPath();
+      ctx.moveTo(
+        (switchTile.x + 0.5) * tileSize,
+        (switchTile.y + 0.5) * tileSize,
+      );
+      ctx.lineTo((door.x + 0.5) * tileSize, (door.y + 0.5) * tileSize);
+      ctx.stroke();
+    });
+  });
+  ctx.lineWidth = 1;
+
+  // Pickups, spawns and the player start
+  level.pickups.forEach((pickup) => {
+    ctx.fillStyle = "#FFD700";
+    ctx.beginPath();
+    ctx.arc(...centre(pickup), tileSize * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  level.enemySpawns.forEach((spawn) => {
+    ctx.strokeStyle = "#FF3030";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(...centre(spawn), tileSize * 0.3, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  const [startX, startY] = centre(level.playerStart);
+  ctx.fillStyle = "#FFFFFF";
+  ctx.strokeStyle = "#FFFFFF";
+  ctx.beginPath();
+  ctx.arc(startX, startY, tileSize * 0.3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.moveTo(startX, startY);
+  ctx.lineTo(
+    startX + Math.cos(level.playerStart.angle) * tileSize * 0.7,
+    startY + Math.sin(level.playerStart.angle) * tileSize * 0.7,
+  );
+  ctx.stroke();
+
+  if (editor.hover) {
+    ctx.strokeStyle = "#FFFFFF";
+    ctx.strokeRect(
+      editor.hover.x * tileSize,
+      editor.hover.y * tileSize,
+      tileSize,
+      tileSize,
+    );
+  }
+  ctx.restore();
+
+  // Status line
+  ctx.fillStyle = "#FFFFFF";
+  ctx.font = "16px monospace";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillText(
+    `[${level.id}] ${editor.tool.label} — ${editor.status || "L: back to game"}`,
+    VIEW_MARGIN,
+    canvas.height - 10,
+  );
+}
+
+// ── Import / export / playtest ──────────────────────────────────────────────
+function reportProblems(action) {
+  const problems = [
+    ...findPlayabilityProblems(editor.level),
+    ...findWaveProblems(editor.level),
+  ];
+  editor.status =
+    problems.length > 0
+      ? `Can't ${action}: ${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1} more)` : ""}`
+      : "";
+  if (problems.length > 0)
+    console.warn(`Level problems:\n  ${problems.join("\n  ")}`);
+  return problems.length === 0;
+}
+
+function exportLevel() {
+  if (!reportProblems("export")) return;
+  const blob = new Blob([serializeLevel(editor.level)], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${editor.level.id}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  editor.status = `Exported ${link.download}`;
+}
+
+async function importLevel(file) {
+  try {
+    editor.level = validateLevel(JSON.parse(await file.text()));
+    editor.selectedSwitch = null;
+    editor.status = `Imported ${file.name}`;
+  } catch (error) {
+    editor.status = `Import failed: ${error.message.split("\n").slice(0, 2).join(" ")}`;
+  }
+}
+
+function playtest() {
+  if (!reportProblems("playtest")) return;
+  setEditorActive(false);
+  editor.onPlaytest(cloneLevel(editor.level));
+}
+
+function renameLevel() {
+  const id = prompt("Level id (file name)", editor.level.id);
+  if (!id) return;
+  editor.level.id = id.trim();
+  editor.level.name =
+    prompt("Level name", editor.level.name) ?? editor.level.name;
+}
+
+function newLevel() {
+  const size = prompt("Width x height", `${NEW_LEVEL_SIZE}x${NEW_LEVEL_SIZE}`);
+  const [width, height] = (size ?? "").split("x").map(Number);
+  if (!(width >= 4 && height >= 4)) return;
+  editor.level = blankLevel(Math.floor(width), Math.floor(height));
+  editor.selectedSwitch = null;
+}
+
+// ── Toolbar ─────────────────────────────────────────────────────────────────
+function createToolbar() {
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText =
+    "position: fixed; top: 10px; left: 10px; z-index: 1000; display: none; " +
+    "flex-direction: column; gap: 2px; max-height: 95vh; overflow-y: auto; " +
+    "background: rgba(0, 0, 0, 0.85); border: 2px solid #ff4400; padding: 6px; " +
+    "font-family: monospace;";
+
+  const addButton = (label, onClick) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.cssText = "text-align: left; font-family: monospace;";
+    button.onclick = (event) => {
+      event.stopPropagation();
+      onClick(button);
+    };
+    toolbar.appendChild(button);
+    return button;
+  };
+
+  const toolButtons = TOOLS.map((tool) =>
+    addButton(tool.label, () => {
+      editor.tool = tool;
+      toolButtons.forEach((b) => (b.style.fontWeight = "normal"));
+      toolButtons[TOOLS.indexOf(tool)].style.fontWeight = "bold";
+    }),
+  );
+  toolButtons[0].style.fontWeight = "bold";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,application/json";
+  fileInput.style.display = "none";
+  fileInput.onchange = () => {
+    if (fileInput.files[0]) importLevel(fileInput.files[0]);
+    fileInput.value = "";
+  };
+  toolbar.appendChild(fileInput);
+
+  addButton("⟳ Rotate start", () => {
+    editor.level.playerStart.angle =
+      (editor.level.playerStart.angle + Math.PI / 2) % (Math.PI * 2);
+  });
+  addButton("✎ Rename", renameLevel);
+  addButton("＋ New", newLevel);
+  addButton("⇪ Import JSON", () => fileInput.click());
+  addButton("⇩ Export JSON", exportLevel);
+  addButton("▶ Playtest", playtest);
+
+  document.body.appendChild(toolbar);
+  return toolbar;
+}
+
+function setEditorActive(active) {
+  editor.active = active;
+  editor.toolbar.style.display = active ? "flex" : "none";
+  if (active) {
+    if (document.pointerLockElement) document.exitPointerLock();
+    if (!editor.level) {
+      const current = getActiveLevel();
+      editor.level = current
+        ? cloneLevel(current)
+        : blankLevel(NEW_LEVEL_SIZE, NEW_LEVEL_SIZE);
+    }
+    editor.onOpen();
+  }
+}
+
+/**
+ * Wire up the editor's toolbar, toggle key and mouse painting.
+ *
+ * @param {Object} options
+ * @param {() => void} options.onOpen - called each time the editor opens
+ * @param {(level: Object) => void} options.onPlaytest - load and play a level
+ */
+export function setupEditor({ onOpen, onPlaytest }) {
+  const canvas = document.getElementById("gameCanvas");
+  editor.onOpen = onOpen;
+  editor.onPlaytest = onPlaytest;
+  editor.toolbar = createToolbar();
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key.toLowerCase() === EDITOR_TOGGLE_KEY && !e.repeat) {
+      setEditorActive(!editor.active);
+    }
+  });
+
+  canvas.addEventListener("mousedown", (e) => {
+    if (!editor.active || e.button !== 0) return;
+    const tile = tileFromEvent(e, canvas);
+    if (!tile) return;
+    editor.painting = true;
+    editor.status = "";
+    applyTool(tile.x, tile.y, false);
+  });
+  canvas.addEventListener("mousemove", (e) => {
+    if (!editor.active) return;
+    editor.hover = tileFromEvent(e, canvas);
+    if (editor.painting && editor.hover) {
+      applyTool(editor.hover.x, editor.hover.y, true);
+    }
+  });
+  document.addEventListener("mouseup", () => {
+    editor.painting = false;
+  });
+}
@@ -1,55 +1,206 @@
 import { pipe, times, find, defaultTo, sortBy, map } from "ramda";
-import { GAME_CONFIG, spriteCache, worldToScreen } from "./utils.js";
-import { checkWallCollision as isCollidingWithWall, castRay } from "./map.js";
-import { findPath } from "./pathfinding.js";
-import { handlePlayerDeath } from "./game.js";
+import { spriteCache } from "./utils.js";
+import { isCollidingWithWall } from "./map.js";
+import { findPath, isWalkableTile } from "./pathfinding.js";
+import { getActiveLevel } from "./level.js";
+import { missingKeys } from "./doors.js";
+import { streamRng } from "./random.js";
+import { damagePlayer } from "./player.js";
+import { enemyHitRadius, TEAMS } from "./projectiles.js";
+import { AI_STATES, createAI, think, canHear, alertTo } from "./ai.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Enemy archetypes. Speeds are world units per simulation tick; `size` is
+// the height in world units, and hit boxes and reach scale with it. Melee
+// enemies stand and hit the player every `attackMs` while in reach.
+// Chargers also wind up (standing still for `windupMs`) when the player is
+// within `range`, then dash in a straight line, hitting once on the way.
+// Ranged enemies shoot at the player they can see within `range`, leading
+// their aim, and hold their ground once in range instead of closing in.
+// `weight` is how often the spawner picks the type at random. Awareness
+// (see ai.js): `sight` range and `fov` cone, gunshots heard within
+// `hearing`, and retreat below `retreatAt` of full health (0: never).
+export const ENEMY_TYPES = {
+  grunt: {
+    sprite: "ENEMY_1",
+    health: 100,
+    speed: 0.003,
+    damage: 15,
+    attackMs: 1000,
+    size: 0.9,
+    score: 100,
+    weight: 5,
+    sight: 10,
+    fov: Math.PI / 2,
+    hearing: 12,
+    retreatAt: 0.25,
+  },
+  runner: {
+    sprite: "ENEMY_2", // fast and fragile
+    health: 40,
+    speed: 0.009,
+    damage: 8,
+    attackMs: 600,
+    size: 0.7,
+    score: 150,
+    weight: 3,
+    sight: 12,
+    fov: (Math.PI * 2) / 3,
+    hearing: 16,
+    retreatAt: 0.5,
+  },
+  tank: {
+    sprite: "ENEMY_3",
+    health: 300,
+    speed: 0.0015,
+    damage: 35,
+    attackMs: 1600,
+    size: 1.2,
+    score: 400,
+    weight: 1,
+    sight: 8,
+    fov: Math.PI / 3,
+    hearing: 10,
+    retreatAt: 0,
+  },
+  charger: {
+    sprite: "ENEMY_4",
+    health: 120,
+    speed: 0.0025,
+    damage: 30,
+    attackMs: 1200,
+    size: 1,
+    score: 250,
+    weight: 2,
+    sight: 10,
+    fov: Math.PI / 2,
+    hearing: 12,
+    retreatAt: 0,
+    charge: {
+      range: 4,
+      windupMs: 600,
+      speed: 0.08,
+      durationMs: 800,
+      cooldownMs: 3000,
+    },
+  },
+  gunner: {
+    sprite: "ENEMY_5",
+    health: 80,
+    speed: 0.0025,
+    damage: 10,
+    attackMs: 1000,
+    size: 0.9,
+    score: 200,
+    weight: 2,
+    sight: 12,
+    fov: Math.PI / 2,
+    hearing: 12,
+    retreatAt: 0.3,
+    ranged: {
+      range: 8,
+      cooldownMs: 1500,
+      damage: 12,
+      speed: 0.06, // a quarter of a pistol round: dodgeable
+      lifetime: 3000,
+    },
+  },
+  sniper: {
+    sprite: "ENEMY_6",
+    health: 60,
+    speed: 0.002,
+    damage: 5,
+    attackMs: 1000,
+    size: 0.8,
+    score: 300,
+    weight: 1,
+    sight: 16,
+    fov: Math.PI / 4,
+    hearing: 10,
+    retreatAt: 0.5,
+    ranged: {
+      range: 14,
+      cooldownMs: 3500,
+      damage: 30,
+      speed: 0.12,
+      lifetime: 3000,
+    },
+  },
+};
+
+/** An enemy's archetype (one of ENEMY_TYPES). */
+export const enemyType = (enemy) => ENEMY_TYPES[enemy.type];
 
 // ──────────────────────────────────────────────────────────────────────────────
 // Tunables & constants
-const ENEMY_TYPE_ID = "ENEMY_1";
-const ENEMY_MAX_HEALTH = 100;
-const ENEMY_COLLISION_RADIUS = 0.3; // used when moving / checking walls
-const ENEMY_CONTACT_RANGE = 0.5; // distance at which enemy damages the player
-const ENEMY_CONTACT_DAMAGE = 25; // damage dealt on contact
-const ENEMY_SPEED_PER_TICK = 0.003; // world units per frame
+const COLLISION_RADIUS_PER_SIZE = 1 / 3; // used when moving / checking walls
+const REACH_BEYOND_HIT_RADIUS = 0.15; // melee reach past the enemy's body
 const PATH_RECOMPUTE_MS = 100; // recompute A* roughly every 100ms
 const WAYPOINT_REACHED_RANGE = 0.1; // snap threshold for waypoints
 // ──────────────────────────────────────────────────────────────────────────────
 
-// Corner-ish safe bases for spawning (tile space); small random offsets applied
-const SAFE_SPAWN_POINTS = [
-  { x: 3.5, y: 3.5 },
-  { x: 8.5, y: 3.5 },
-  { x: 3.5, y: 8.5 },
-  { x: 8.5, y: 8.5 },
-];
+// Spawn bases come from the active level (tile space); small random offsets applied
+const levelSpawnPoints = () => getActiveLevel()?.enemySpawns ?? [];
 
 // ──────────────────────────────────────────────────────────────────────────────
-// Small helpers (pure)
-const randomTileOffset = () => Math.random() * 2 - 1; // [-1, +1]
-const pickBaseSpawnPoint = () =>
-  SAFE_SPAWN_POINTS[Math.floor(Math.random() * SAFE_SPAWN_POINTS.length)];
+// Small helpers (deterministic given the rng, see random.js)
+const randomTileOffset = (rng) => rng.next() * 2 - 1; // [-1, +1]
+const pickBaseSpawnPoint = (rng, points) => rng.pick(points);
 // ──────────────────────────────────────────────────────────────────────────────
 
 /**
  * Use a *single* base point for both x and y to keep candidates coherent.
  */
-const generateCandidateSpawnPoint = () => {
-  const base = pickBaseSpawnPoint();
-  return { x: base.x + randomTileOffset(), y: base.y + randomTileOffset() };
+const generateCandidateSpawnPoint = (rng, points) => {
+  const base = pickBaseSpawnPoint(rng, points);
+  return {
+    x: base.x + randomTileOffset(rng),
+    y: base.y + randomTileOffset(rng),
+  };
 };
 
-const createEnemyAt = (x, y) => ({
+const collisionRadius = (type) => type.size * COLLISION_RADIUS_PER_SIZE;
+const reach = (enemy) => enemyHitRadius(enemy) + REACH_BEYOND_HIT_RADIUS;
+
+const createEnemyAt = (x, y, type, rng, now) => ({
   x,
   y,
-  health: ENEMY_MAX_HEALTH,
-  type: ENEMY_TYPE_ID,
-  lastMove: Date.now(),
+  angle: rng.next() * Math.PI * 2, // where it's looking
+  type,
+  size: ENEMY_TYPES[type].size, // for hit tests and drawing
+  health: ENEMY_TYPES[type].health,
+  ai: createAI(now, rng.int(0, levelSpawnPoints().length - 1)),
+  goal: null, // {x, y} the AI wants to walk to this tick
+  sees: false, // the player, this tick
+  lastMove: now,
+  lastAttack: null,
+  lastCharge: null,
+  lastShot: null,
+  charge: null, // {phase: "windup" | "dash", until, angle} while charging
   lastPathUpdate: 0,
+  pathGoal: null, // the tile `path` leads to
   pathIndex: 0,
   path: null,
 });
 
+/**
+ * A random archetype, weighted by ENEMY_TYPES[...].weight.
+ *
+ * @param {Object} rng - a random.js generator
+ * @returns {string} an ENEMY_TYPES key
+ */
+export function pickEnemyType(rng) {
+  const types = Object.keys(ENEMY_TYPES);
+  const total = types.reduce((sum, id) => sum + ENEMY_TYPES[id].weight, 0);
+  let roll = rng.next() * total;
+  return types.find((id) => (roll -= ENEMY_TYPES[id].weight) < 0) ?? types[0];
+}
+
+// A door closed somewhere on the remaining route → re-route immediately
+const isPathBlocked = (enemy) =>
+  Array.isArray(enemy.path) &&
+  enemy.path.slice(enemy.pathIndex).some(({ x, y }) => !isWalkableTile(x, y));
+
 const distanceToPlayer = (enemy, player) =>
   Math.hypot(enemy.x - player.x, enemy.y - player.y);
 
@@ -61,85 +212,257 @@ const sortEnemiesByDistanceDesc = (player) =>
 // Spawning — point-free, Ramda pipe; no loops
 /**
  * Attempts up to 8 random candidate positions, returns a fully constructed enemy.
- * If all candidates collide, falls back to a safe default (1.5, 1.5).
+ * If all candidates collide, falls back to an un-jittered level spawn point
+ * (validated to be on a floor tile by the level loader).
+ *
+ * @param {number} now - game time in ms
+ * @param {Object} rng - a random.js generator
+ * @param {string} [type] - an ENEMY_TYPES key; picked at random if omitted
+ * @param {{x: number, y: number}[]} [points] - spawn bases to pick from
+ *   (default: all of the level's enemy spawns)
  */
-export const spawnEnemy = pipe(
-  () => times(() => generateCandidateSpawnPoint(), 8),
-  find(({ x, y }) => !isCollidingWithWall(x, y, ENEMY_COLLISION_RADIUS)),
-  defaultTo({ x: 1.5, y: 1.5 }),
-  ({ x, y }) => createEnemyAt(x, y),
-);
-// ──────────────────────────────────────────────────────────────────────────────
-// ──────────────────────────────────────────────────────────────────────────────
-// Update — transform the enemy list
+export const spawnEnemy = (
+  now,
+  rng,
+  type = pickEnemyType(rng),
+  points = levelSpawnPoints(),
+) =>
+  pipe(
+    () => times(() => generateCandidateSpawnPoint(rng, points), 8),
+    find(
+      ({ x, y }) =>
+        !isCollidingWithWall(x, y, collisionRadius(ENEMY_TYPES[type])),
+    ),
+    (point) => defaultTo(pickBaseSpawnPoint(rng, points), point),
+    ({ x, y }) => createEnemyAt(x, y, type, rng, now),
+  )();
+
 /**
- * Update all enemies for this tick: damage on contact, path recompute, movement.
- * Side-effects
- *  - Mutates `player.health` and may call `handlePlayerDeath()` if health <= 0.
- *  - Replaces `state.enemies` with a new, sorted array each tick.
+ * Put a new enemy into play (the wave director decides when, what and
+ * where; see director.js). Keys that locked doors need but that aren't in
+ * play yet are handed to the new enemy.
+ *
+ * @param {Object} state
+ * @param {number} now - game time in ms
+ * @param {string} [type] - an ENEMY_TYPES key; picked at random if omitted
+ * @param {{x: number, y: number}[]} [points] - spawn bases to pick from
  */
-export function updateEnemies(state, player) {
-  if (state.gameOver || !Array.isArray(state.enemies)) return;
+export function addEnemy(state, now, type, points) {
+  if (!getActiveLevel()) return;
+  const rng = streamRng(state.random, "spawn");
+  const enemy = { ...spawnEnemy(now, rng, type, points), id: state.nextId++ };
+  const [key] = missingKeys(state);
+  if (key) enemy.carriesKey = key;
+  state.enemies = [...state.enemies, enemy];
+}
 
-  const now = Date.now();
+// ──────────────────────────────────────────────────────────────────────────────
+// Attacks — melee on a cooldown, chargers' wind-up and dash, ranged fire
 
-  // 1) Compute which enemies are in contact with the player this tick
-  const inContactWithPlayer = (e) =>
-    distanceToPlayer(e, player) < ENEMY_CONTACT_RANGE;
+const hitPlayer = (state, player, e, now) => {
+  damagePlayer(state, enemyType(e).damage, e.id, e);
+  return { ...e, lastAttack: now };
+};
 
-  const contactCount = state.enemies.filter(inContactWithPlayer).length;
+const isChasing = (e) => e.ai.state === AI_STATES.CHASE;
+
+// Melee: a chasing enemy hits whenever in reach and its last hit is
+// `attackMs` old
+const meleeAttack = (state, player, now) => (e) => {
+  const ready =
+    e.lastAttack === null || now - e.lastAttack >= enemyType(e).attackMs;
+  const inReach = distanceToPlayer(e, player) < reach(e);
+  return isChasing(e) && !e.charge && ready && inReach
+    ? hitPlayer(state, player, e, now)
+    : e;
+};
 
-  // Apply damage once per contacting enemy
-  if (contactCount > 0) {
-    player.health = Math.max(
-      0,
-      player.health - ENEMY_CONTACT_DAMAGE * contactCount,
-    );
-    if (player.health <= 0) handlePlayerDeath();
+const canStartCharge = (e, player, now) => {
+  const { charge } = enemyType(e);
+  if (!charge || e.charge || !isChasing(e) || !e.sees) return false;
+  const distance = distanceToPlayer(e, player);
+  const rested =
+    e.lastCharge === null || now - e.lastCharge >= charge.cooldownMs;
+  return rested && distance < charge.range && distance > reach(e);
+};
+
+// Wind-up locks on to where the player stands; the dash goes there in a
+// straight line until it hits the player, a wall, or runs out
+const advanceCharge = (state, player, now) => (e) => {
+  const { charge } = enemyType(e);
+  if (canStartCharge(e, player, now)) {
+    return {
+      ...e,
+      charge: { phase: "windup", until: now + charge.windupMs },
+    };
+  }
+  if (!e.charge) return e;
+
+  if (e.charge.phase === "windup") {
+    if (now < e.charge.until) return e;
+    return {
+      ...e,
+      charge: {
+        phase: "dash",
+        angle: Math.atan2(player.y - e.y, player.x - e.x),
+        until: now + charge.durationMs,
+      },
+    };
+  }
+
+  const x = e.x + Math.cos(e.charge.angle) * charge.speed;
+  const y = e.y + Math.sin(e.charge.angle) * charge.speed;
+  const blocked = isCollidingWithWall(x, y, collisionRadius(enemyType(e)));
+  if (now >= e.charge.until || blocked) {
+    return { ...e, charge: null, lastCharge: now };
   }
+  const moved = { ...e, x, y, lastMove: now };
+  return distanceToPlayer(moved, player) < reach(moved)
+    ? { ...hitPlayer(state, player, moved, now), charge: null, lastCharge: now }
+    : moved;
+};
+
+const MUZZLE_HEIGHT = 0.6; // of the enemy's size
+
+// Where to shoot to meet the player, if they keep moving as they are: the
+// earliest time t (in ticks) at which a shot at `speed` and the player
+// arrive at the same point. Shots too slow to ever catch up aim straight.
+const leadAim = (from, player, speed) => {
+  const dx = player.x - from.x;
+  const dy = player.y - from.y;
+  const { x: vx, y: vy } = player.velocity;
+  const a = vx * vx + vy * vy - speed * speed;
+  const b = 2 * (dx * vx + dy * vy);
+  const c = dx * dx + dy * dy;
+  if (a >= 0) return Math.atan2(dy, dx);
+  const t = (-b - Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+  return Math.atan2(dy + vy * t, dx + vx * t);
+};
+
+// Ranged: a chasing enemy that can see the player fires when in range
+const rangedAttack = (state, player, now) => (e) => {
+  const { ranged, size } = enemyType(e);
+  if (!ranged || !isChasing(e) || !e.sees || e.charge) return e;
+  const ready = e.lastShot === null || now - e.lastShot >= ranged.cooldownMs;
+  if (!ready || distanceToPlayer(e, player) > ranged.range) return e;
+
+  const angle = leadAim(e, player, ranged.speed);
+  const muzzle = enemyHitRadius(e); // just clear of its own body
+  state.projectiles.push({
+    id: state.nextId++,
+    x: e.x + Math.cos(angle) * muzzle,
+    y: e.y + Math.sin(angle) * muzzle,
+    z: size * MUZZLE_HEIGHT,
+    angle,
+    speed: ranged.speed,
+    damage: ranged.damage,
+    lifetime: ranged.lifetime,
+    created: now,
+    team: TEAMS.ENEMY,
+    owner: e.id,
+  });
+  return { ...e, angle, lastShot: now };
+};
+
+// Ranged enemies stop closing in once they have a clear shot
+const holdsGround = (e, player) => {
+  const { ranged } = enemyType(e);
+  return (
+    distanceToPlayer(e, player) < reach(e) ||
+    (ranged && e.sees && distanceToPlayer(e, player) < ranged.range * 0.75)
+  );
+};
 
-  // 2) Remove enemies that contacted the player
-  const survivingEnemies = state.enemies.filter((e) => !inContactWithPlayer(e));
+// ──────────────────────────────────────────────────────────────────────────────
+// Update — transform the enemy list
+const tileOf = ({ x, y }) => ({ x: Math.floor(x), y: Math.floor(y) });
+const sameTile = (a, b) => a.x === b.x && a.y === b.y;
+
+// A* only runs when the goal moves to another tile, a door closes on the
+// route, or an earlier search found no route and has gone stale
+const needsPath = (e, now) =>
+  e.goal !== null &&
+  (e.pathGoal === null ||
+    !sameTile(e.pathGoal, tileOf(e.goal)) ||
+    isPathBlocked(e) ||
+    (!e.path && now - e.lastPathUpdate > PATH_RECOMPUTE_MS));
 
-  // 3) Recompute path (A*) if stale, then move toward current waypoint with wall sliding
+/**
+ * Update all enemies for this tick: perception and behaviour (ai.js),
+ * attacks and charges, path recompute and movement. Enemies in reach of the
+ * player, or with a shot at them, stand and fight; charging enemies leave
+ * their path until the charge is over.
+ * Side-effects
+ *  - Mutates `player.health`, reporting each hit as playerDamaged.
+ *  - Adds ranged enemies' shots to `state.projectiles`.
+ *  - Replaces `state.enemies` with a new, sorted array each tick.
+ */
+export function updateEnemies(state, player, now) {
+  if (state.gameOver || !Array.isArray(state.enemies)) return;
+  const patrolPoints = levelSpawnPoints();
+
+  // 1) Look, listen and decide where to go
+  const thinking = map((e) =>
+    think(e, enemyType(e), player, patrolPoints, now),
+  )(state.enemies);
+
+  // 2) Attacks: chargers wind up and dash, chasers hit what's in reach and
+  //    shoot what they can see
+  const afterAttacks = pipe(
+    map(advanceCharge(state, player, now)),
+    map(meleeAttack(state, player, now)),
+    map(rangedAttack(state, player, now)),
+  )(thinking);
+
+  // 3) Route (A*) to the goal when needed, then walk it with wall sliding
   const withUpdatedPaths = map((e) =>
-    now - e.lastPathUpdate > PATH_RECOMPUTE_MS
+    needsPath(e, now)
       ? {
           ...e,
-          path: findPath(e.x, e.y, player.x, player.y),
+          path: findPath(e.x, e.y, e.goal.x, e.goal.y),
+          pathGoal: tileOf(e.goal),
           pathIndex: 0,
           lastPathUpdate: now,
         }
       : e,
-  )(survivingEnemies);
+  )(afterAttacks);
 
   const stepTowardWaypoint = (e) => {
-    const hasPath = e.path && e.path.length > 0 && e.pathIndex < e.path.length;
-    if (!hasPath) return e;
-
-    const waypoint = e.path[e.pathIndex];
-    const dx = waypoint.x - e.x;
-    const dy = waypoint.y - e.y;
+    if (!e.goal || e.charge) return e;
+    if (isChasing(e) && holdsGround(e, player)) return e;
+    if (!e.path) return e;
+
+    // Waypoints are tile indices; walk to the tile centre, and from the
+    // last one on to the goal itself
+    const onPath = e.pathIndex < e.path.length;
+    const target = onPath
+      ? { x: e.path[e.pathIndex].x + 0.5, y: e.path[e.pathIndex].y + 0.5 }
+      : e.goal;
+    const dx = target.x - e.x;
+    const dy = target.y - e.y;
     const dist = Math.hypot(dx, dy) || 1e-6;
 
     // If close enough, advance to the next waypoint
     if (dist < WAYPOINT_REACHED_RANGE) {
-      return { ...e, pathIndex: e.pathIndex + 1, lastMove: now };
+      return onPath ? { ...e, pathIndex: e.pathIndex + 1, lastMove: now } : e;
     }
 
-    // Propose a step toward the waypoint
-    const stepX = e.x + (dx / dist) * ENEMY_SPEED_PER_TICK;
-    const stepY = e.y + (dy / dist) * ENEMY_SPEED_PER_TICK;
+    // Propose a step toward the waypoint, facing the way it walks
+    const { speed } = enemyType(e);
+    const radius = collisionRadius(enemyType(e));
+    const stepX = e.x + (dx / dist) * speed;
+    const stepY = e.y + (dy / dist) * speed;
+    const walking = { ...e, angle: Math.atan2(dy, dx), lastMove: now };
 
     // Try full step; otherwise try sliding along axes
-    if (!isCollidingWithWall(stepX, stepY, ENEMY_COLLISION_RADIUS)) {
-      return { ...e, x: stepX, y: stepY, lastMove: now };
+    if (!isCollidingWithWall(stepX, stepY, radius)) {
+      return { ...walking, x: stepX, y: stepY };
     }
-    if (!isCollidingWithWall(stepX, e.y, ENEMY_COLLISION_RADIUS)) {
-      return { ...e, x: stepX, lastMove: now };
+    if (!isCollidingWithWall(stepX, e.y, radius)) {
+      return { ...walking, x: stepX };
     }
-    if (!isCollidingWithWall(e.x, stepY, ENEMY_COLLISION_RADIUS)) {
-      return { ...e, y: stepY, lastMove: now };
+    if (!isCollidingWithWall(e.x, stepY, radius)) {
+      return { ...walking, y: stepY };
     }
     return e; // fully blocked this tick
   };
@@ -149,59 +472,45 @@ export function updateEnemies(state, player) {
   // 4) Sort far→near for painter's algorithm
   state.enemies = sortEnemiesByDistanceDesc(player)(movedEnemies);
 }
+
+/**
+ * A gunshot at (x, y): every enemy in earshot turns to look into it.
+ *
+ * @param {Object} state
+ * @param {number} x
+ * @param {number} y
+ * @param {number} now - game time in ms
+ */
+export function hearGunshot(state, x, y, now) {
+  state.enemies = state.enemies.map((e) =>
+    canHear(e, enemyType(e), x, y) ? alertTo(e, x, y, now) : e,
+  );
+}
 // ──────────────────────────────────────────────────────────────────────────────
 
 // ──────────────────────────────────────────────────────────────────────────────
 // Render
 // ──────────────────────────────────────────────────────────────────────────────
+const ENEMY_MARKS = {
+  windup: { text: "!", color: "#ffff00" },
+  [AI_STATES.ALERT]: { text: "!", color: "#ffffff" },
+  [AI_STATES.SEARCH]: { text: "?", color: "#ffffff" },
+};
+
 /**
- * Project and draw a single enemy sprite with occlusion and FOV culling.
+ * Draw one enemy billboard; drawWorldSprites has already projected, culled
+ * and depth-clipped it.
  *
  * @param {CanvasRenderingContext2D} ctx
- * @param {Object} enemy - {x, y, health, type}
- * @param {Object} player - {x, y, angle}
- * @param {HTMLCanvasElement} canvas
+ * @param {Object} enemy - {health, type, charge, ai}
+ * @param {Object} projection - {screenX, screenY, size} from worldToScreen
  */
-export function renderEnemy(ctx, enemy, player, canvas) {
-  if (!enemy || typeof enemy.x !== "number" || typeof enemy.y !== "number")
-    return;
-
-  const { screenX, screenY, size, distance } = worldToScreen(
-    enemy.x,
-    enemy.y,
-    player.x,
-    player.y,
-    player.angle,
-    canvas,
-  );
-
-  const deltaX = enemy.x - player.x;
-  const deltaY = enemy.y - player.y;
-  const angleToEnemy = Math.atan2(deltaY, deltaX);
-  const relativeAngle =
-    ((angleToEnemy - player.angle + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
-
-  // Cull enemies outside field of view
-  if (Math.abs(relativeAngle) > GAME_CONFIG.FOV / 2) return;
-
-  // Simple occlusion: if a wall is closer along this ray, the enemy is hidden
-  const distanceToWall = castRay(
-    angleToEnemy,
-    player.x,
-    player.y,
-    player.angle,
-  );
-  if (distance > distanceToWall) return;
-
-  // Offscreen safety margin
-  const margin = size * 0.5;
-  if (screenX < -margin || screenX > canvas.width + margin) return;
-
-  // Draw sprite
-  ctx.save();
-  const sprite = spriteCache[enemy.type];
+export function drawEnemy(ctx, enemy, { screenX, screenY, size }) {
+  // screenY is the sprite's centre, half its height above the floor
+  const type = enemyType(enemy);
+  const drawSize = Math.max(16, size * enemy.size);
+  const sprite = spriteCache[type.sprite];
   if (sprite) {
-    const drawSize = Math.max(16, size);
     ctx.drawImage(
       sprite,
       screenX - drawSize / 2,
@@ -211,16 +520,25 @@ export function renderEnemy(ctx, enemy, player, canvas) {
     );
   }
 
-  // Health bar overlay
-  const barW = size / 2;
-  const barH = size / 10;
-  const hpRatio = enemy.health / ENEMY_MAX_HEALTH;
+  // Health bar just above the head
+  const barW = drawSize / 2;
+  const barH = drawSize / 12;
+  const barY = screenY - drawSize / 2 - barH * 2;
+  const hpRatio = enemy.health / type.health;
 
   ctx.fillStyle = "#ff0000";
-  ctx.fillRect(screenX - barW / 2, screenY - size / 3, barW, barH);
+  ctx.fillRect(screenX - barW / 2, barY, barW, barH);
 
   ctx.fillStyle = "#00ff00";
-  ctx.fillRect(screenX - barW / 2, screenY - size / 3, barW * hpRatio, barH);
-
-  ctx.restore();
+  ctx.fillRect(screenX - barW / 2, barY, barW * hpRatio, barH);
+
+  // A charger winding up gives itself away, as do alerted and searching
+  // enemies
+  const mark = ENEMY_MARKS[enemy.charge?.phase] ?? ENEMY_MARKS[enemy.ai.state];
+  if (mark) {
+    ctx.fillStyle = mark.color;
+    ctx.font = `bold ${Math.round(drawSize / 3)}px monospace`;
+    ctx.textAlign = "center";
+    ctx.fillText(mark.text, screenX, barY - barH);
+  }
 }
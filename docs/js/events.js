@@ -0,0 +1,88 @@
+// ──────────────────────────────────────────────────────────────────────────────
+// Game events: what happened during a tick, as plain data.
+//
+// Systems report outcomes with emitEvent(); step() collects them in
+// `state.events` (emptied every tick) and front-ends hand them to an event
+// bus, so scoring, HUD, audio and the like subscribe instead of being wired
+// into the systems. Every event has `type` and `time` (game clock, ms) plus:
+//
+//   enemyKilled      { enemy, by }                  (enemy: as it was when
+//                                                    it died; by: the
+//                                                    killer's team, see
+//                                                    projectiles.js TEAMS)
+//   playerDamaged    { amount, health, source,      (source: enemy id;
+//                      direction }                   direction: world angle
+//                                                    towards the source)
+//   pickupCollected  { pickup }
+//   shotFired        { weapon, projectiles, ammo }  (the player's; hitscan
+//                                                    fires no projectiles;
+//                                                    ammo: left in the
+//                                                    magazine)
+//   playerDied       { score }
+//   waveStarted      { wave, enemies }              (enemies: how many the
+//                                                    wave brings)
+//   waveCleared      { wave }
+// ──────────────────────────────────────────────────────────────────────────────
+export const GAME_EVENTS = {
+  ENEMY_KILLED: "enemyKilled",
+  PLAYER_DAMAGED: "playerDamaged",
+  PICKUP_COLLECTED: "pickupCollected",
+  SHOT_FIRED: "shotFired",
+  PLAYER_DIED: "playerDied",
+  WAVE_STARTED: "waveStarted",
+  WAVE_CLEARED: "waveCleared",
+};
+
+const EVENT_TYPES = new Set(Object.values(GAME_EVENTS));
+
+function assertEventType(type) {
+  if (!EVENT_TYPES.has(type)) {
+    throw new Error(
+      `Unknown game event "${type}" (expected one of ${[...EVENT_TYPES].join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Report something that happened this tick.
+ *
+ * @param {Object} state - the state being stepped
+ * @param {string} type - one of GAME_EVENTS
+ * @param {Object} payload - see the table above
+ */
+export function emitEvent(state, type, payload) {
+  assertEventType(type);
+  state.events.push({ type, time: state.time, ...payload });
+}
+
+/**
+ * Subscribers by event type. Handlers get the event plus whatever extra
+ * arguments dispatch() was given.
+ *
+ * @returns {{on: (type: string, handler: Function) => () => void,
+ *            dispatch: (events: Object[], ...context) => void}}
+ *   on() returns a function that unsubscribes
+ */
+export function createEventBus() {
+  const handlers = new Map();
+
+  return {
+    on(type, handler) {
+      assertEventType(type);
+      if (!handlers.has(type)) handlers.set(type, []);
+      handlers.get(type).push(handler);
+      return () =>
+        handlers.set(
+          type,
+          handlers.get(type).filter((h) => h !== handler),
+        );
+    },
+    dispatch(events, ...context) {
+      events.forEach((event) =>
+        (handlers.get(event.type) ?? []).forEach((handler) =>
+          handler(event, ...context),
+        ),
+      );
+    },
+  };
+}
@@ -1,20 +1,68 @@
+import { GAME_CONFIG, loadSprite, spriteCache } from "./utils.js";
+import { drawEnemy } from "./enemy.js";
+import { drawCollectible, pickupHeight, PICKUP_SIZE } from "./collectibles.js";
 import {
-  GAME_CONFIG,
-  loadSprite,
-  calculateDistance,
-  worldToScreen,
-  spriteCache,
-} from "./utils.js";
-import { player, updatePlayerMovement, shoot } from "./player.js";
-import { updateEnemies, renderEnemy, spawnEnemy } from "./enemy.js";
+  drawProjectile,
+  drawImpact,
+  collectDynamicLights,
+  BULLET_SIZE,
+  TEAMS,
+} from "./projectiles.js";
 import {
-  updateCollectibles,
-  renderCollectibles,
-  spawnCheese,
-} from "./collectibles.js";
-import { drawWalls, drawHUD, drawArms, drawMinimap } from "./render.js";
-import { setupInputHandlers, keys, updateAutoplay } from "./input.js";
-import { isCollidingWithWall } from "./map.js";
+  drawWalls,
+  drawHUD,
+  drawDamageMarks,
+  DAMAGE_MARK_MS,
+  drawReplayHUD,
+  drawNotice,
+  drawScreenOverlay,
+  drawArms,
+  drawMinimap,
+  drawWorldSprites,
+  getSceneView,
+  presentScene,
+  adaptResolution,
+  setResolutionScale,
+} from "./render.js";
+import {
+  setupInputHandlers,
+  setupReplayHandlers,
+  setupSnapshotHandlers,
+  setupScreenHandlers,
+  readInput,
+  clearInput,
+} from "./input.js";
+import { createGameState, step } from "./simulation.js";
+import { createFixedStepClock, interpolateState } from "./clock.js";
+import { createEventBus, GAME_EVENTS } from "./events.js";
+import { createScreenMachine, SCREENS } from "./screens.js";
+import {
+  createRecorder,
+  createPlayback,
+  validateReplay,
+  replayLevelData,
+} from "./replay.js";
+import {
+  createSnapshot,
+  validateSnapshot,
+  restoreSnapshot,
+  saveToSlot,
+  loadFromSlot,
+  clearSlot,
+  SNAPSHOT_SLOTS,
+  AUTOSAVE_SLOT,
+} from "./snapshot.js";
+import {
+  fetchLevel,
+  loadLevel,
+  getActiveLevel,
+  DEFAULT_LEVEL_URL,
+} from "./level.js";
+import { generateLevel } from "./generator.js";
+import { setDynamicLights } from "./lighting.js";
+import { setActiveDoors } from "./doors.js";
+import { randomSeed } from "./random.js";
+import { setupEditor, isEditorActive, drawEditor } from "./editor.js";
 
 // Canvas contexts
 let canvas = null;
@@ -44,283 +92,519 @@ function initializeCanvases() {
   }
 }
 
-// Add FPS limiting constants
-const TARGET_FPS = 60; // Doubled for smoother gameplay
+// Render budget for dynamic resolution; the simulation itself runs at a
+// fixed tick (clock.js) and frames interpolate between ticks
+const TARGET_FPS = 60;
 const FRAME_TIME = 1000 / TARGET_FPS;
-let lastFrameTime = 0;
-
-export const state = {
-  projectiles: [],
-  enemies: [],
-  collectibles: [],
-  score: 0,
-  gameOver: false,
-  lastShot: 0,
-  shootCooldown: 250,
-  player: player,
-  bullets: 30, // Current bullets
-  maxBullets: 30, // Max bullets,
-  autoplay: {
-    enabled: false,
-    lastActivity: Date.now(),
-    inactivityThreshold: 5000,
-    targetEnemy: null,
-    nextMoveTime: 0,
-    moveInterval: 1000,
-    lastPing: Date.now(),
-    pingInterval: 300000,
-  },
-  sounds: {
-    ping: new Audio(
-      "data:audio/wav;base64,UklGRl9vT19XQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YU",
-    ),
-  },
-};
+const clock = createFixedStepClock();
+
+// The current run; replaced by every step() and by applyLevel()
+let state = null;
+let previousState = null; // one tick earlier, for interpolation
+let levelSource = null; // where the run's level came from, for replays
+let recorder = null; // records the current run's input (replay.js)
+let playback = null; // set while a replay plays instead of the run
+let snapshotSlot = SNAPSHOT_SLOTS[0]; // F6 / F7 save and load here
+
+// Brief messages drawn over the view (e.g. "Saved to slot 1")
+const NOTICE_MS = 2000;
+let notice = null;
+
+function showNotice(text) {
+  notice = { text, until: performance.now() + NOTICE_MS };
+}
 
-export function handlePlayerDeath() {
-  const popup = document.getElementById("deathPopup");
-  if (popup) {
-    popup.style.display = "block";
-  }
-  state.gameOver = true;
+// Autoplay pings every few minutes so an unattended screen isn't silent
+const AUTOPLAY_PING_MS = 300000;
+const pingSound = new Audio(
+  "data:audio/wav;base64,UklGRl9vT19XQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YU",
+);
+let lastPing = 0;
+
+function playAutoplayPing(wasAutoplaying, now) {
+  if (!state.autoplay.enabled) return;
+  if (wasAutoplaying && now - lastPing < AUTOPLAY_PING_MS) return;
+  if (!wasAutoplaying) console.log("Autoplay activated");
+  lastPing = now;
+  pingSound.play().catch((e) => console.log("Audio play failed:", e));
 }
 
-export function restartGame() {
-  state.player.health = state.player.maxHealth;
-  player.x = 1.5;
-  player.y = 1.5;
-  player.angle = 0;
+// What happens in the live run (not in replays), for the page to react to
+const gameEvents = createEventBus();
 
-  state.enemies = [];
+// Tallies for the results screen
+const createRunStats = () => ({ kills: 0, shots: 0, pickups: 0, damage: 0 });
+let runStats = createRunStats();
+gameEvents.on(GAME_EVENTS.ENEMY_KILLED, ({ by }) => {
+  if (by === TEAMS.PLAYER) runStats.kills++;
+});
+gameEvents.on(GAME_EVENTS.SHOT_FIRED, () => runStats.shots++);
+gameEvents.on(GAME_EVENTS.PICKUP_COLLECTED, () => runStats.pickups++);
+gameEvents.on(GAME_EVENTS.PLAYER_DAMAGED, ({ amount }) => {
+  runStats.damage += amount;
+});
+
+gameEvents.on(GAME_EVENTS.WAVE_STARTED, ({ wave, enemies }) =>
+  showNotice(`Wave ${wave}: ${enemies} enemies`),
+);
+gameEvents.on(GAME_EVENTS.WAVE_CLEARED, ({ wave }) =>
+  showNotice(`Wave ${wave} cleared`),
+);
+
+// Recent hits, for the HUD to point at where they came from
+let damageMarks = [];
+gameEvents.on(GAME_EVENTS.PLAYER_DAMAGED, ({ direction, time }) => {
+  damageMarks = [
+    ...damageMarks.filter((mark) => time - mark.time < DAMAGE_MARK_MS),
+    { direction, time },
+  ];
+});
 
+function setResultsVisible(visible) {
   const popup = document.getElementById("deathPopup");
   if (popup) {
-    popup.style.display = "none";
+    popup.style.display = visible ? "block" : "none";
   }
+}
 
-  state.gameOver = false;
-  requestAnimationFrame(gameLoop);
+function showResults() {
+  const results = document.getElementById("runResults");
+  if (results) {
+    results.textContent = [
+      `Score: ${state.score}`,
+      `Survived: ${(state.time / 1000).toFixed(1)}s`,
+      `Wave: ${state.director.wave}`,
+      `Kills: ${runStats.kills}`,
+      `Shots: ${runStats.shots}`,
+      `Pickups: ${runStats.pickups}`,
+      `Damage taken: ${runStats.damage}`,
+    ].join("\n");
+  }
+  setResultsVisible(true);
 }
 
-export function gameLoop(timestamp) {
-  if (state.gameOver) return;
+// Title → playing ⇄ paused, playing → game over → results (screens.js). Only
+// "playing" steps the run; the pointer is only locked while playing.
+const GAME_OVER_MS = 2000; // "YOU DIED" over the last frame, then results
+let gameOverAt = 0;
+
+function enterScreen(screen) {
+  setResultsVisible(false);
+  if (screen === SCREENS.PLAYING) {
+    // Nothing pressed on another screen carries in, and no time is owed
+    clearInput();
+    clock.reset();
+  } else if (document.pointerLockElement) {
+    document.exitPointerLock();
+  }
+  if (screen === SCREENS.GAME_OVER) gameOverAt = performance.now();
+  if (screen === SCREENS.RESULTS) showResults();
+}
 
-  // Limit FPS
-  const elapsed = timestamp - lastFrameTime;
-  if (elapsed < FRAME_TIME) {
-    requestAnimationFrame(gameLoop);
-    return;
+const screens = createScreenMachine(SCREENS.TITLE, enterScreen);
+gameEvents.on(GAME_EVENTS.PLAYER_DIED, () => screens.send("die"));
+
+// `?level=<name>` selects levels/<name>.json; otherwise the default arena
+function levelUrlFromLocation() {
+  const levelName = new URLSearchParams(window.location.search).get("level");
+  return levelName
+    ? `levels/${encodeURIComponent(levelName)}.json`
+    : DEFAULT_LEVEL_URL;
+}
+
+// `?seed=<seed>[&style=rooms|caves]` plays a generated level; `?endless` also
+// generates, and rolls a fresh seed for every new run
+const locationParams = new URLSearchParams(window.location.search);
+const isGeneratedRun =
+  locationParams.has("seed") || locationParams.has("endless");
+const isEndlessRun = locationParams.has("endless");
+
+// `?scale=0.75` pins the internal render resolution instead of adapting it
+const pinnedScale = Number(locationParams.get("scale"));
+if (locationParams.has("scale") && Number.isFinite(pinnedScale)) {
+  setResolutionScale(pinnedScale);
+}
+
+// Generate a level and record its seed in the URL so the run can be shared
+function loadGeneratedLevel(seed) {
+  locationParams.set("seed", seed);
+  history.replaceState(null, "", `?${locationParams}`);
+  return loadLevel(
+    generateLevel({ seed, style: locationParams.get("style") ?? undefined }),
+  );
+}
+
+function loadLevelFromLocation() {
+  return isGeneratedRun
+    ? loadGeneratedLevel(locationParams.get("seed") || randomSeed())
+    : fetchLevel(levelUrlFromLocation());
+}
+
+// Replays name the level by id, or by generator seed and style
+function generatedSource(level) {
+  return {
+    id: level.id,
+    seed: locationParams.get("seed"),
+    style: locationParams.get("style") ?? undefined,
+  };
+}
+
+// Gameplay randomness (spawns, drops, autoplay) is seeded per run: by
+// `?run=<seed>`, else by a generated level's own seed, else by a fresh seed
+// recorded in the URL so the run can be repeated
+const pinnedRunSeed = locationParams.get("run");
+function runSeed() {
+  const seed =
+    pinnedRunSeed ?? (isGeneratedRun ? locationParams.get("seed") : null);
+  if (seed) return seed;
+  const fresh = randomSeed();
+  locationParams.set("run", fresh);
+  history.replaceState(null, "", `?${locationParams}`);
+  return fresh;
+}
+
+// Start a fresh, recorded run on a freshly loaded level
+function applyLevel(level, source) {
+  const seed = runSeed();
+  state = createGameState(level, { seed });
+  previousState = state;
+  levelSource = source;
+  recorder = createRecorder({ seed, level: source });
+  runStats = createRunStats();
+  damageMarks = [];
+}
+
+// A fresh run on the same level (a new one in endless mode), ending any
+// replay; a replay's level is the active one until then
+function resetRun() {
+  const source = playback?.replay.level ?? levelSource;
+  playback = null;
+  if (isEndlessRun) {
+    const level = loadGeneratedLevel(randomSeed());
+    applyLevel(level, generatedSource(level));
+  } else {
+    // Reloading resets the doors, so the new run replays from its seed
+    applyLevel(loadLevel(getActiveLevel()), source);
   }
-  lastFrameTime = timestamp;
+}
 
-  ctx.fillStyle = "#000";
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+export function restartGame() {
+  resetRun();
+  screens.send("start");
+}
+
+// Everything drawWorldSprites should draw this frame, each with its callback
+function collectWorldSprites(state) {
+  return [
+    ...state.enemies.map((enemy) => ({
+      x: enemy.x,
+      y: enemy.y,
+      z: enemy.size / 2,
+      radius: enemy.size / 2,
+      draw: (ctx, projection) => drawEnemy(ctx, enemy, projection),
+    })),
+    ...state.collectibles
+      .filter((item) => !item.collected)
+      .map((item) => ({
+        x: item.x,
+        y: item.y,
+        z: pickupHeight(item),
+        radius: PICKUP_SIZE / 2,
+        draw: (ctx, projection) => drawCollectible(ctx, item, projection),
+      })),
+    ...state.projectiles.map((projectile) => ({
+      x: projectile.x,
+      y: projectile.y,
+      z: projectile.z,
+      radius: BULLET_SIZE * 3, // the tracer trails three bullet widths behind
+      emissive: true,
+      draw: (ctx, projection) => drawProjectile(ctx, projectile, projection),
+    })),
+    ...state.effects.map((effect) => ({
+      x: effect.x,
+      y: effect.y,
+      z: effect.z,
+      radius: effect.radius,
+      emissive: true,
+      draw: (ctx, projection) => drawImpact(ctx, effect, projection),
+    })),
+  ];
+}
+
+// Play a level straight out of the editor, reviving the player if needed
+function playtestLevel(level) {
+  stopPlayback();
+  applyLevel(loadLevel(level), { id: level.id, data: level });
+  screens.send("start");
+}
 
-  // Cache array checks
-  const hasEnemies = state.enemies && Array.isArray(state.enemies);
+// Catch the run (or replay) up in fixed ticks; returns how far into the next
+// tick this frame is
+function advanceRun() {
+  const { ticks, alpha } = clock.advance();
+  if (playback) {
+    // Player input only steers the free camera
+    for (let i = 0; i < ticks; i++) playback.moveCamera(readInput());
+    playback.advance(ticks);
+    ({ state, previousState } = playback);
+  } else {
+    const wasAutoplaying = state.autoplay.enabled;
+    for (let i = 0; i < ticks && !state.gameOver; i++) {
+      const input = readInput();
+      recorder?.record(input);
+      previousState = state;
+      state = step(state, input);
+      gameEvents.dispatch(state.events, state);
+    }
+    playAutoplayPing(wasAutoplaying, state.time);
+  }
+  return alpha;
+}
+
+// The one animation-frame loop, started once by initGame and never stopped
+function gameLoop() {
+  requestAnimationFrame(gameLoop);
 
-  drawWalls(ctx, player, canvas);
+  // The level editor takes over the canvas; the run is paused underneath
+  if (isEditorActive()) {
+    drawEditor(ctx, canvas);
+    return;
+  }
 
-  if (hasEnemies) {
-    state.enemies.forEach((enemy) => {
-      renderEnemy(ctx, enemy, player, canvas);
-    });
+  const frameStart = performance.now();
+  let alpha = 1;
+  if (screens.screen === SCREENS.PLAYING) {
+    alpha = advanceRun();
+  } else if (
+    screens.screen === SCREENS.GAME_OVER &&
+    frameStart - gameOverAt > GAME_OVER_MS
+  ) {
+    screens.send("finish");
+  }
+  const frame = interpolateState(previousState, state, alpha);
+
+  // The 3D view renders at the internal resolution, then scales up
+  const view = getSceneView(canvas);
+  const camera = playback?.camera ?? frame.player;
+  setActiveDoors(frame.doors); // a restored or rewound frame may not be stepped yet
+  setDynamicLights(collectDynamicLights(frame, frame.time));
+  drawWalls(view.ctx, camera, view.canvas);
+  drawWorldSprites(view.ctx, collectWorldSprites(frame), camera, view.canvas);
+  presentScene(ctx, canvas);
+
+  if (!playback?.camera) drawArms(ctx, frame, canvas);
+  drawHUD(ctx, frame, canvas);
+  drawDamageMarks(ctx, damageMarks, frame, canvas);
+  if (playback) drawReplayHUD(ctx, playback, canvas);
+  if (notice && performance.now() < notice.until) {
+    drawNotice(ctx, notice.text, canvas);
   }
+  drawMinimap(minimapCtx, frame, frame.player);
+  drawScreenOverlay(ctx, screens.screen, canvas);
+
+  adaptResolution(performance.now() - frameStart, FRAME_TIME);
+}
 
-  if (state.player.health <= 0) {
-    handlePlayerDeath();
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Download the current run's replay
+function saveReplay() {
+  if (!recorder) {
+    showNotice("This run has no replay (it was resumed without one)");
     return;
   }
+  const replay = recorder.toReplay();
+  downloadJson(`replay-${replay.level.id}-${replay.seed}.json`, replay);
+}
 
-  // Update and render projectiles
-  if (state.projectiles) {
-    const now = Date.now();
-    state.projectiles = state.projectiles.filter((projectile) => {
-      // Update position
-      projectile.x += Math.cos(projectile.angle) * projectile.speed;
-      projectile.y += Math.sin(projectile.angle) * projectile.speed;
-
-      // Check wall collision
-      if (isCollidingWithWall(projectile.x, projectile.y)) {
-        // Draw wall impact effect
-        const { screenX, screenY, size } = worldToScreen(
-          projectile.x,
-          projectile.y,
-          player.x,
-          player.y,
-          player.angle,
-          canvas,
-        );
-        ctx.save();
-        ctx.globalAlpha = 0.5;
-        ctx.fillStyle = "#ffff00";
-        ctx.beginPath();
-        ctx.arc(screenX, screenY, size * 0.8, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-        return false;
-      }
-
-      // Check enemy collisions
-      if (state.enemies) {
-        for (let i = state.enemies.length - 1; i >= 0; i--) {
-          const enemy = state.enemies[i];
-          const dist = calculateDistance(
-            projectile.x,
-            projectile.y,
-            enemy.x,
-            enemy.y,
-          );
-          if (dist < 0.5) {
-            enemy.health -= projectile.damage;
-            // Draw enemy hit impact effect
-            const { screenX, screenY, size } = worldToScreen(
-              enemy.x,
-              enemy.y,
-              player.x,
-              player.y,
-              player.angle,
-              canvas,
-            );
-            ctx.save();
-            ctx.globalAlpha = 0.5;
-            ctx.fillStyle = "#ff0000";
-            ctx.beginPath();
-            ctx.arc(screenX, screenY, size, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-
-            if (enemy.health <= 0) {
-              // Drop ammo when enemy dies
-              const ammoAmount = Math.floor(Math.random() * 5) + 3; // 3-7 bullets
-              state.bullets = Math.min(
-                state.maxBullets,
-                state.bullets + ammoAmount,
-              );
-              state.enemies.splice(i, 1);
-            }
-            return false; // Remove bullet on hit
-          }
-        }
-      }
-
-      // Check lifetime
-      if (now - projectile.created > projectile.lifetime) {
-        return false;
-      }
-
-      // Render bullet using worldToScreen
-      const { screenX, screenY, size } = worldToScreen(
-        projectile.x,
-        projectile.y,
-        player.x,
-        player.y,
-        player.angle,
-        canvas,
-      );
-
-      // Only render if in view
-      if (screenX >= 0 && screenX <= canvas.width) {
-        ctx.save();
-        const sprite = spriteCache["BULLET"];
-        if (sprite) {
-          const width = Math.max(12, size * 0.6); // Visible yellow bullets per ThePrimeagen
-          const height = width;
-
-          // Draw smoke tracer
-          ctx.save();
-          ctx.globalAlpha = 0.3;
-          ctx.fillStyle = "#888888";
-          ctx.beginPath();
-          ctx.moveTo(screenX, screenY);
-          ctx.lineTo(
-            screenX - Math.cos(projectile.angle) * width * 2,
-            screenY - Math.sin(projectile.angle) * width * 2,
-          );
-          ctx.lineTo(
-            screenX - Math.cos(projectile.angle) * width * 3,
-            screenY - Math.sin(projectile.angle) * width * 3,
-          );
-          ctx.closePath();
-          ctx.fill();
-          ctx.restore();
-
-          // Draw yellow bullet
-          // Draw smoke tracer
-          ctx.save();
-          ctx.globalAlpha = 0.3;
-          ctx.fillStyle = "#888888";
-          ctx.beginPath();
-          ctx.moveTo(screenX, screenY);
-          ctx.lineTo(
-            screenX - Math.cos(projectile.angle) * width * 2,
-            screenY - Math.sin(projectile.angle) * width * 2,
-          );
-          ctx.lineTo(
-            screenX - Math.cos(projectile.angle) * width * 3,
-            screenY - Math.sin(projectile.angle) * width * 3,
-          );
-          ctx.closePath();
-          ctx.fill();
-          ctx.restore();
-
-          // Draw yellow bullet
-          ctx.save();
-          ctx.fillStyle = "yellow";
-          ctx.beginPath();
-          ctx.arc(screenX, screenY, width / 2, 0, Math.PI * 2);
-          ctx.fill();
-          ctx.restore();
-        }
-        ctx.restore();
-      }
-
-      return true;
-    });
+const fetchLevelData = async (id) => {
+  const url = `levels/${encodeURIComponent(id)}.json`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch level ${url}: HTTP ${response.status}`);
   }
+  return response.json();
+};
+
+// Watch a replay instead of playing; the run underneath is abandoned
+async function startPlayback(data) {
+  const replay = validateReplay(data);
+  playback = createPlayback(
+    replay,
+    await replayLevelData(replay, fetchLevelData),
+  );
+  screens.send("start");
+}
 
-  drawArms(ctx, player, canvas);
-  drawHUD(ctx, state, canvas);
+// Back to a fresh run on the level the replay was on
+function stopPlayback() {
+  if (!playback) return;
+  const source = playback.replay.level;
+  playback = null;
+  applyLevel(loadLevel(getActiveLevel()), source);
+  screens.send("start");
+}
+
+// The current run as a snapshot, or null when there's no run to save
+function snapshotRun() {
+  if (!state || state.gameOver || playback) return null;
+  return createSnapshot(state, levelSource, recorder?.toReplay());
+}
 
-  // Update arm swing animation
-  if (keys.w || keys.s) {
-    player.arms.swingOffset += player.arms.swingSpeed;
+function saveSnapshot() {
+  const snapshot = snapshotRun();
+  if (!snapshot) {
+    showNotice("Nothing to save");
+    return;
+  }
+  try {
+    saveToSlot(snapshotSlot, snapshot);
+    showNotice(`Saved to slot ${snapshotSlot}`);
+  } catch (error) {
+    console.error(`Failed to save slot ${snapshotSlot}:`, error);
+    showNotice(`Could not save to slot ${snapshotSlot}`);
   }
+}
 
-  updatePlayerMovement(keys);
-  if (hasEnemies) {
-    updateEnemies(state, player);
+function downloadSnapshot() {
+  const snapshot = snapshotRun();
+  if (!snapshot) {
+    showNotice("Nothing to save");
+    return;
   }
-  updateCollectibles(state, player);
-  // Update autoplay with shooting
-  updateAutoplay(state, player);
-  if (
-    state.autoplay.enabled &&
-    state.autoplay.targetEnemy &&
-    state.bullets > 0
-  ) {
-    shoot(state);
+  downloadJson(
+    `snapshot-${snapshot.level.id}-${snapshot.state.seed}.json`,
+    snapshot,
+  );
+}
+
+async function loadSnapshot() {
+  try {
+    const snapshot = loadFromSlot(snapshotSlot);
+    if (!snapshot) {
+      showNotice(`Slot ${snapshotSlot} is empty`);
+      return;
+    }
+    await resumeSnapshot(snapshot);
+    showNotice(`Loaded slot ${snapshotSlot}`);
+  } catch (error) {
+    console.error(`Failed to load slot ${snapshotSlot}:`, error);
+    showNotice(`Could not load slot ${snapshotSlot}`);
   }
+}
 
-  drawMinimap(minimapCtx, state, player);
+function selectNextSlot() {
+  const index = SNAPSHOT_SLOTS.indexOf(snapshotSlot);
+  snapshotSlot = SNAPSHOT_SLOTS[(index + 1) % SNAPSHOT_SLOTS.length];
+  showNotice(`Slot ${snapshotSlot}`);
+}
 
-  requestAnimationFrame(gameLoop);
+// Put a saved run in place of the current run or replay, on whatever screen
+async function restoreRun(data) {
+  const snapshot = validateSnapshot(data);
+  const levelData = await replayLevelData(snapshot, fetchLevelData);
+  playback = null;
+  state = restoreSnapshot(snapshot, levelData);
+  previousState = state;
+  levelSource = snapshot.level;
+  // Without the input so far, a replay of the rest wouldn't play back
+  recorder = snapshot.replay
+    ? createRecorder({
+        seed: snapshot.replay.seed,
+        level: snapshot.level,
+        input: snapshot.replay.input,
+      })
+    : null;
+  runStats = createRunStats();
+  damageMarks = [];
 }
 
-// Initialize game
-initializeCanvases();
-setupInputHandlers(state);
+// Carry on a saved run straight away
+async function resumeSnapshot(data) {
+  await restoreRun(data);
+  screens.send("start");
+}
 
-// Spawn initial cheese
-spawnCheese(state);
+// refresh.js reloads the page after a minute idle; keep the run across it
+window.addEventListener("inactivityrefresh", () => {
+  const snapshot = snapshotRun();
+  if (snapshot) saveToSlot(AUTOSAVE_SLOT, snapshot);
+});
 
-// Cache enemy check and reduce spawn frequency
-const MAX_ENEMIES = 5;
-setInterval(() => {
-  if (!state.enemies?.length || state.enemies.length < MAX_ENEMIES) {
-    spawnEnemy(state.enemies);
+// After such a reload the run waits on the title screen; starting carries on
+// with it rather than dropping an idle player straight back into play
+async function resumeAutosave() {
+  try {
+    const snapshot = loadFromSlot(AUTOSAVE_SLOT);
+    if (!snapshot) return;
+    clearSlot(AUTOSAVE_SLOT);
+    await restoreRun(snapshot);
+  } catch (error) {
+    clearSlot(AUTOSAVE_SLOT);
+    console.error("Failed to resume the autosave:", error);
+  }
+}
+
+// `?replay=<url>` opens straight into a replay
+async function loadReplayFromLocation() {
+  const response = await fetch(locationParams.get("replay"));
+  if (!response.ok) {
+    throw new Error(`Failed to fetch replay: HTTP ${response.status}`);
   }
-}, 5000);
+  await startPlayback(await response.json());
+}
+
+// Initialize game
+initializeCanvases();
+setupInputHandlers();
+setupReplayHandlers({
+  onSave: saveReplay,
+  // Snapshots carry a game state; anything else is taken for a replay
+  onOpen: async (file) => {
+    try {
+      const data = JSON.parse(await file.text());
+      if (data?.state) await resumeSnapshot(data);
+      else await startPlayback(data);
+    } catch (error) {
+      console.error(`Failed to open ${file.name}:`, error);
+    }
+  },
+  getPlayback: () => playback,
+});
+setupSnapshotHandlers({
+  onSave: saveSnapshot,
+  onDownload: downloadSnapshot,
+  onLoad: loadSnapshot,
+  onNextSlot: selectNextSlot,
+});
+// What Enter or a click on the view does on each screen
+const CONFIRM_ACTIONS = {
+  [SCREENS.TITLE]: () => screens.send("start"),
+  [SCREENS.PAUSED]: () => screens.send("resume"),
+  [SCREENS.RESULTS]: restartGame,
+};
+setupScreenHandlers({
+  // Esc leaves a replay; otherwise it pauses
+  onEscape: () => (playback ? stopPlayback() : screens.send("pause")),
+  onConfirm: () => CONFIRM_ACTIONS[screens.screen]?.(),
+  // Quitting to the title abandons the run; the next one starts fresh
+  onQuit: () => {
+    if (!screens.send("quit")) return;
+    resetRun();
+  },
+  onPointerLockLost: () => !playback && screens.send("pause"),
+});
+setupEditor({
+  onOpen: () => screens.send("pause"),
+  onPlaytest: playtestLevel,
+});
 
 // Preload enemy sprites, bullet sprite, and collectibles
 [
@@ -334,14 +618,25 @@ setInterval(() => {
   }
 });
 
-// Preload enemy sprites before starting game
+// Load the level and preload enemy sprites before starting game
 async function initGame() {
   try {
+    const level = await loadLevelFromLocation();
+    applyLevel(
+      level,
+      isGeneratedRun ? generatedSource(level) : { id: level.id },
+    );
+    if (locationParams.has("replay")) await loadReplayFromLocation();
+    else await resumeAutosave();
+
     const spritePromises = [
       ...Object.keys(GAME_CONFIG.SPRITES.ENEMIES).map((spriteName) =>
         loadSprite(spriteName),
       ),
       loadSprite("BULLET"),
+      ...Object.keys(GAME_CONFIG.SPRITES.WALLS).map((spriteName) =>
+        loadSprite(spriteName),
+      ),
       ...Object.keys(GAME_CONFIG.SPRITES.COLLECTIBLES).map((spriteName) =>
         loadSprite(spriteName),
       ),
@@ -350,7 +645,7 @@ async function initGame() {
     console.log("All sprites loaded successfully");
     gameLoop();
   } catch (error) {
-    console.error("Failed to load sprites:", error);
+    console.error("Failed to start game:", error);
   }
 }
 
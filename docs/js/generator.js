@@ -0,0 +1,275 @@
+import { createRng } from "./random.js";
+import {
+  LEVEL_FORMAT_VERSION,
+  validateLevel,
+  findUnreachableTiles,
+} from "./level.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Seeded procedural levels. The same seed, style and size always produce the
+// same level, so a run can be shared by sharing its seed.
+export const GENERATOR_STYLE = {
+  ROOMS: "rooms", // rectangular rooms joined by L-shaped corridors
+  CAVES: "caves", // cellular-automata caverns
+};
+
+const DEFAULT_SIZE = 24;
+const MAX_ATTEMPTS = 8; // regenerate (same rng stream) if a layout is unusable
+const MIN_FLOOR_TILES = 40;
+const ENEMY_SPAWN_COUNT = 4;
+const PICKUP_COUNT = 4;
+const MIN_SPAWN_DISTANCE = 6; // tiles between the player start and any spawn
+const BORDER_TILE = 2; // brick
+const INTERIOR_WALL_TILES = [1, 3, 4, 5];
+const SPAWN_PAD_FLOOR = 2;
+const LAMP_TILE = 6;
+const LAMP_COUNT = 6;
+const MIN_LAMP_SPACING = 5; // tiles
+
+const ROOM_ATTEMPTS = 60;
+const MAX_ROOMS = 9;
+const CAVE_FILL_CHANCE = 0.45;
+const CAVE_SMOOTHING_PASSES = 5;
+// ──────────────────────────────────────────────────────────────────────────────
+
+const filledGrid = (width, height, tile) =>
+  Array.from({ length: height }, () => Array(width).fill(tile));
+
+const isBorder = (grid, x, y) =>
+  y === 0 || x === 0 || y === grid.length - 1 || x === grid[0].length - 1;
+
+const floorTiles = (grid) =>
+  grid.flatMap((row, y) =>
+    row.flatMap((tile, x) => (tile === 0 ? [{ x, y }] : [])),
+  );
+
+const tileCentre = ({ x, y }) => ({ x: x + 0.5, y: y + 0.5 });
+
+const shuffled = (rng, items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = rng.int(0, i);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+function carveRooms(rng, width, height) {
+  const grid = filledGrid(width, height, 1);
+  const rooms = [];
+
+  for (let i = 0; i < ROOM_ATTEMPTS && rooms.length < MAX_ROOMS; i++) {
+    const w = rng.int(3, 6);
+    const h = rng.int(3, 6);
+    const x = rng.int(1, width - w - 1);
+    const y = rng.int(1, height - h - 1);
+    // Keep at least one wall tile between rooms
+    const overlaps = rooms.some(
+      (r) => x <= r.x + r.w && x + w >= r.x && y <= r.y + r.h && y + h >= r.y,
+    );
+    if (overlaps) continue;
+
+    rooms.push({ x, y, w, h });
+    for (let ty = y; ty < y + h; ty++) {
+      for (let tx = x; tx < x + w; tx++) grid[ty][tx] = 0;
+    }
+  }
+
+  const carveRow = (x1, x2, y) => {
+    for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) grid[y][x] = 0;
+  };
+  const carveColumn = (y1, y2, x) => {
+    for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) grid[y][x] = 0;
+  };
+
+  // Join each room to the previous one with an L-shaped corridor
+  rooms.slice(1).forEach((room, i) => {
+    const from = rooms[i];
+    const ax = from.x + Math.floor(from.w / 2);
+    const ay = from.y + Math.floor(from.h / 2);
+    const bx = room.x + Math.floor(room.w / 2);
+    const by = room.y + Math.floor(room.h / 2);
+    if (rng.chance(0.5)) {
+      carveRow(ax, bx, ay);
+      carveColumn(ay, by, bx);
+    } else {
+      carveColumn(ay, by, ax);
+      carveRow(ax, bx, by);
+    }
+  });
+
+  return grid;
+}
+
+function growCaves(rng, width, height) {
+  let grid = filledGrid(width, height, 1);
+  grid = grid.map((row, y) =>
+    row.map((tile, x) =>
+      isBorder(grid, x, y) || rng.chance(CAVE_FILL_CHANCE) ? 1 : 0,
+    ),
+  );
+
+  const wallNeighbours = (x, y) => {
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if ((dx || dy) && grid[y + dy][x + dx] !== 0) count++;
+      }
+    }
+    return count;
+  };
+
+  // Classic 4-5 rule: crowded cells fill in, lonely cells open up
+  for (let pass = 0; pass < CAVE_SMOOTHING_PASSES; pass++) {
+    grid = grid.map((row, y) =>
+      row.map((tile, x) => {
+        if (isBorder(grid, x, y)) return 1;
+        const walls = wallNeighbours(x, y);
+        return walls > 4 ? 1 : walls < 4 ? 0 : tile;
+      }),
+    );
+  }
+  return grid;
+}
+
+// Fill every floor tile that isn't connected to `start` (4-way flood fill)
+function fillDisconnected(grid, start) {
+  const connected = new Set([`${start.x},${start.y}`]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const { x, y } = queue.shift();
+    [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1],
+    ].forEach(([dx, dy]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      const k = `${nx},${ny}`;
+      if (grid[ny]?.[nx] === 0 && !connected.has(k)) {
+        connected.add(k);
+        queue.push({ x: nx, y: ny });
+      }
+    });
+  }
+  grid.forEach((row, y) =>
+    row.forEach((tile, x) => {
+      if (tile === 0 && !connected.has(`${x},${y}`)) row[x] = 1;
+    }),
+  );
+}
+
+// Brick around the edge, one random material for everything inside
+function applyWallMaterials(rng, grid) {
+  const interior = rng.pick(INTERIOR_WALL_TILES);
+  grid.forEach((row, y) =>
+    row.forEach((tile, x) => {
+      if (tile !== 0) row[x] = isBorder(grid, x, y) ? BORDER_TILE : interior;
+    }),
+  );
+}
+
+// Swap a few well-spaced walls that face open floor for lamps
+function placeLamps(rng, grid) {
+  const facesFloor = ({ x, y }) =>
+    [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1],
+    ].some(([dx, dy]) => grid[y + dy]?.[x + dx] === 0);
+  const walls = grid.flatMap((row, y) =>
+    row.flatMap((tile, x) => (tile !== 0 ? [{ x, y }] : [])),
+  );
+
+  const lamps = [];
+  shuffled(rng, walls.filter(facesFloor)).forEach((wall) => {
+    const spaced = lamps.every(
+      (lamp) =>
+        Math.hypot(lamp.x - wall.x, lamp.y - wall.y) >= MIN_LAMP_SPACING,
+    );
+    if (lamps.length < LAMP_COUNT && spaced) lamps.push(wall);
+  });
+  lamps.forEach(({ x, y }) => {
+    grid[y][x] = LAMP_TILE;
+  });
+}
+
+/**
+ * Generate a playable level in the level.js format. Every floor tile is
+ * reachable from the player start (checked with findUnreachableTiles).
+ *
+ * @param {Object} options
+ * @param {string|number} options.seed
+ * @param {string} [options.style] - a GENERATOR_STYLE value
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {Object} normalised level, ready for loadLevel()
+ * @throws {Error} if no connected layout is found within MAX_ATTEMPTS
+ */
+export function generateLevel({
+  seed,
+  style = GENERATOR_STYLE.ROOMS,
+  width = DEFAULT_SIZE,
+  height = DEFAULT_SIZE,
+}) {
+  if (!Object.values(GENERATOR_STYLE).includes(style)) {
+    throw new Error(`Unknown generator style "${style}"`);
+  }
+  const rng = createRng(`${style}:${width}x${height}:${seed}`);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const grid =
+      style === GENERATOR_STYLE.CAVES
+        ? growCaves(rng, width, height)
+        : carveRooms(rng, width, height);
+
+    const openTiles = floorTiles(grid);
+    if (openTiles.length === 0) continue;
+    const start = rng.pick(openTiles);
+    fillDisconnected(grid, start);
+
+    const reachable = floorTiles(grid);
+    if (reachable.length < MIN_FLOOR_TILES) continue;
+
+    const candidates = shuffled(
+      rng,
+      reachable.filter(({ x, y }) => x !== start.x || y !== start.y),
+    );
+    const enemySpawns = candidates
+      .filter(
+        ({ x, y }) =>
+          Math.hypot(x - start.x, y - start.y) >= MIN_SPAWN_DISTANCE,
+      )
+      .slice(0, ENEMY_SPAWN_COUNT);
+    if (enemySpawns.length === 0) continue;
+    const pickups = candidates
+      .filter((tile) => !enemySpawns.includes(tile))
+      .slice(0, PICKUP_COUNT);
+
+    applyWallMaterials(rng, grid);
+    placeLamps(rng, grid);
+    const floor = grid.map((row) => row.map(() => 0));
+    enemySpawns.forEach(({ x, y }) => {
+      floor[y][x] = SPAWN_PAD_FLOOR;
+    });
+
+    const level = validateLevel({
+      version: LEVEL_FORMAT_VERSION,
+      id: `generated-${style}-${seed}`,
+      name: `Generated ${style} (${seed})`,
+      author: "generator",
+      grid,
+      floor,
+      playerStart: { ...tileCentre(start), angle: rng.next() * Math.PI * 2 },
+      enemySpawns: enemySpawns.map(tileCentre),
+      pickups: pickups.map(tileCentre),
+    });
+    if (findUnreachableTiles(level).length === 0) return level;
+  }
+
+  throw new Error(
+    `Could not generate a connected ${style} level for seed "${seed}"`,
+  );
+}
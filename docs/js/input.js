@@ -1,6 +1,6 @@
-import { worldToScreen } from './utils.js';
-import { player } from './player.js';
-import { shoot } from './player.js';
+import { createInput } from './simulation.js';
+import { isEditorActive } from './editor.js';
+import { TICK_MS } from './clock.js';
 
 export const keys = {
     w: false,
@@ -20,63 +20,54 @@ export function createFlame() {
     flame.addEventListener('animationend', () => flame.remove());
 }
 
-export async function updateAutoplay(state, player) {
-    const now = Date.now();
-    
-    if (!state.autoplay.enabled && now - state.autoplay.lastActivity > state.autoplay.inactivityThreshold) {
-        state.autoplay.enabled = true;
-        console.log('Autoplay activated');
-        state.sounds.ping.play().catch(e => console.log('Audio play failed:', e));
-        state.autoplay.lastPing = now;
-    }
-    
-    if (state.autoplay.enabled && now - state.autoplay.lastPing >= state.autoplay.pingInterval) {
-        try {
-            await state.sounds.ping.play();
-            state.autoplay.lastPing = now;
-        } catch (error) {
-            console.error('Audio playback failed:', error);
-            // Continue without audio rather than breaking gameplay
-            state.autoplay.lastPing = now;
-        }
-    }
-
-    if (state.autoplay.enabled) {
-        let nearestEnemy = null;
-        let minDist = Infinity;
-        state.enemies.forEach(enemy => {
-            const dx = enemy.x - player.x;
-            const dy = enemy.y - player.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist < minDist) {
-                minDist = dist;
-                nearestEnemy = enemy;
-            }
-        });
-        state.autoplay.targetEnemy = nearestEnemy;
-
-        if (now > state.autoplay.nextMoveTime) {
-            state.autoplay.nextMoveTime = now + state.autoplay.moveInterval;
-            keys.w = Math.random() > 0.5;
-            keys.s = !keys.w;
-            keys.a = Math.random() > 0.5;
-            keys.d = !keys.a;
-        }
+// Look and one-shot actions gathered between frames, handed to step() by readInput
+const NO_PENDING = {
+    turn: 0,
+    pitch: 0,
+    shoot: false,
+    use: false,
+    reload: false,
+    weapon: 0,  // number key pressed, 1-based
+    cycle: 0    // scroll wheel, -1 or 1
+};
+const pending = { ...NO_PENDING };
+let triggerHeld = false;  // left mouse button, while the pointer is locked
 
-        if (nearestEnemy) {
-            const targetAngle = Math.atan2(nearestEnemy.y - player.y, nearestEnemy.x - player.x);
-            player.angle = targetAngle;
-            keys[' '] = true;
-        }
-    }
+// Weapon number keys (weapons.js WEAPON_ORDER)
+const WEAPON_KEYS = ['1', '2', '3', '4'];
+
+/**
+ * The input frame for this tick (see simulation.createInput); look deltas
+ * and clicks since the last call are consumed.
+ */
+export function readInput() {
+    const input = createInput({ ...pending, w: keys.w, s: keys.s, a: keys.a, d: keys.d, trigger: triggerHeld });
+    Object.assign(pending, NO_PENDING);
+    return input;
 }
 
-export function setupInputHandlers(state) {
+/** Forget held keys and queued actions, e.g. so a new run starts still. */
+export function clearInput() {
+    Object.keys(keys).forEach((key) => { keys[key] = false; });
+    triggerHeld = false;
+    readInput();
+}
+
+export function setupInputHandlers() {
     document.addEventListener('keydown', (e) => {
+        if (isEditorActive()) return;  // The level editor has the keyboard
         if (e.key in keys) {
             keys[e.key] = true;
-            state.autoplay.enabled = false;
-            state.autoplay.lastActivity = Date.now();
+        }
+        // Use doors and switches with 'E'
+        if (e.key.toLowerCase() === 'e' && !e.repeat) {
+            pending.use = true;
+        }
+        if (e.key.toLowerCase() === 'r' && !e.repeat) {
+            pending.reload = true;
+        }
+        if (WEAPON_KEYS.includes(e.key)) {
+            pending.weapon = WEAPON_KEYS.indexOf(e.key) + 1;
         }
         // Toggle streamer mode with 'V' key
         if (e.key.toLowerCase() === 'v') {
@@ -88,37 +79,135 @@ export function setupInputHandlers(state) {
     document.addEventListener('keyup', (e) => {
         if (e.key in keys) {
             keys[e.key] = false;
-            state.autoplay.lastActivity = Date.now();
         }
     });
     
-    // Handle mouse camera control and pointer lock
-    document.addEventListener('mousedown', () => {
+    // Handle mouse camera control and pointer lock. The left button pulls
+    // the trigger, except for the click that takes the lock (starting or
+    // resuming the game)
+    document.addEventListener('mousedown', (e) => {
+        if (isEditorActive()) return;
         const canvas = document.getElementById('gameCanvas');
-        canvas.requestPointerLock();
+        if (document.pointerLockElement !== canvas) {
+            canvas.requestPointerLock();
+        } else if (e.button === 0) {
+            pending.shoot = true;
+            triggerHeld = true;
+        }
+    });
+
+    document.addEventListener('mouseup', (e) => {
+        if (e.button === 0) triggerHeld = false;
+    });
+
+    // Scroll through the weapons
+    document.addEventListener('wheel', (e) => {
+        if (isEditorActive() || e.deltaY === 0) return;
+        pending.cycle = Math.sign(e.deltaY);
     });
     
     document.addEventListener('mousemove', (e) => {
         if (document.pointerLockElement === document.getElementById('gameCanvas')) {
             const sensitivity = 0.003;  // Adjust for smooth control
-            player.angle += e.movementX * sensitivity;
-            
-            // Keep angle normalized
-            player.angle = ((player.angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-            
-            state.autoplay.enabled = false;
-            state.autoplay.lastActivity = Date.now();
+            pending.turn += e.movementX * sensitivity;
+            pending.pitch -= e.movementY * sensitivity;  // step() clamps it
         }
     });
-    
-    // Handle left mouse button shooting
-    document.addEventListener('click', (e) => {
-        if (e.button !== 0) return;  // Only left click
-        
-        shoot(state);
-        state.autoplay.enabled = false;
-        state.autoplay.lastActivity = Date.now();
-    });
 
     setInterval(createFlame, 500);
 }
+
+// Transport keys while a replay plays
+const SEEK_TICKS = Math.round(5000 / TICK_MS);  // five seconds
+const REPLAY_KEYS = {
+    ' ': (playback) => playback.togglePause(),
+    ArrowLeft: (playback) => playback.seek(playback.tick - SEEK_TICKS),
+    ArrowRight: (playback) => playback.seek(playback.tick + SEEK_TICKS),
+    '[': (playback) => playback.changeSpeed(-1),
+    ']': (playback) => playback.changeSpeed(1),
+    c: (playback) => playback.toggleFreeCamera()
+};
+
+/**
+ * F9 saves the current run as a replay; a file dropped on the page (a replay
+ * or a snapshot) goes to onOpen. While a replay plays, the transport keys go
+ * to the playback.
+ *
+ * @param {Object} handlers
+ * @param {() => void} handlers.onSave
+ * @param {(file: File) => void} handlers.onOpen
+ * @param {() => Object|null} handlers.getPlayback - the playback, if any
+ */
+export function setupReplayHandlers({ onSave, onOpen, getPlayback }) {
+    document.addEventListener('keydown', (e) => {
+        if (isEditorActive()) return;
+        if (e.key === 'F9') {
+            e.preventDefault();
+            onSave();
+        }
+        const playback = getPlayback();
+        if (!playback) return;
+        if (REPLAY_KEYS[e.key]) {
+            e.preventDefault();
+            REPLAY_KEYS[e.key](playback);
+        }
+    });
+
+    document.addEventListener('dragover', (e) => e.preventDefault());
+    document.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const [file] = e.dataTransfer.files;
+        if (file) onOpen(file);
+    });
+}
+
+/**
+ * Snapshot keys: F6 saves to the selected slot (Shift+F6 downloads instead),
+ * F7 loads the selected slot, F8 selects the next slot.
+ *
+ * @param {Object} handlers
+ * @param {() => void} handlers.onSave
+ * @param {() => void} handlers.onDownload
+ * @param {() => void} handlers.onLoad
+ * @param {() => void} handlers.onNextSlot
+ */
+export function setupSnapshotHandlers({ onSave, onDownload, onLoad, onNextSlot }) {
+    document.addEventListener('keydown', (e) => {
+        if (isEditorActive()) return;
+        const action = {
+            F6: e.shiftKey ? onDownload : onSave,
+            F7: onLoad,
+            F8: onNextSlot
+        }[e.key];
+        if (!action) return;
+        e.preventDefault();
+        action();
+    });
+}
+
+/**
+ * Screen keys: Esc, Enter (or a click on the view) and Q, plus losing the
+ * pointer lock, which browsers also do on Esc without always passing the key
+ * on.
+ *
+ * @param {Object} handlers
+ * @param {() => void} handlers.onEscape
+ * @param {() => void} handlers.onConfirm
+ * @param {() => void} handlers.onQuit
+ * @param {() => void} handlers.onPointerLockLost
+ */
+export function setupScreenHandlers({ onEscape, onConfirm, onQuit, onPointerLockLost }) {
+    const canvas = document.getElementById('gameCanvas');
+    document.addEventListener('keydown', (e) => {
+        if (isEditorActive() || e.repeat) return;
+        if (e.key === 'Escape') onEscape();
+        else if (e.key === 'Enter') onConfirm();
+        else if (e.key.toLowerCase() === 'q') onQuit();
+    });
+    canvas.addEventListener('click', (e) => {
+        if (e.button === 0 && !isEditorActive()) onConfirm();
+    });
+    document.addEventListener('pointerlockchange', () => {
+        if (document.pointerLockElement !== canvas) onPointerLockLost();
+    });
+}
@@ -0,0 +1,379 @@
+import { setMap } from "./map.js";
+import {
+  DOOR_TILE,
+  SWITCH_TILE,
+  DOOR_TRIGGER,
+  createDoors,
+  setActiveDoors,
+} from "./doors.js";
+import { findPath } from "./pathfinding.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Level format
+//
+// {
+//   "version": 1,
+//   "id": "arena",
+//   "name": "Chussy Arena",
+//   "author": "...",               (optional)
+//   "grid": [[1, 1, ...], ...],    (0 = floor, >0 = wall material id)
+//   "playerStart": { "x": 3.5, "y": 3.5, "angle": 0 },
+//   "enemySpawns": [{ "x": 8.5, "y": 3.5 }, ...],
+//   "pickups": [{ "x": 2.5, "y": 2.5, "type": "CHEESE_1" }, ...],
+//   "floor": [[0, 0, ...], ...],   (optional, floor material id per tile)
+//   "ceiling": [[0, 0, ...], ...], (optional, ceiling material id per tile)
+//   "doors": [...],                (optional, see doors.js)
+//   "switches": [...],             (optional, see doors.js)
+//   "waves": {...}                 (optional, see director.js)
+// }
+//
+// Positions are in tile units; pickup `type` is optional (random cheese).
+// Floor / ceiling grids must match the tile grid's dimensions.
+// ──────────────────────────────────────────────────────────────────────────────
+export const LEVEL_FORMAT_VERSION = 1;
+export const DEFAULT_LEVEL_URL = "levels/arena.json";
+
+let activeLevel = null;
+
+/** The level most recently passed to loadLevel(), or null before the first load. */
+export const getActiveLevel = () => activeLevel;
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const zeroGrid = (grid) => grid.map((row) => row.map(() => 0));
+
+const isFloorAt = (grid, x, y) => {
+  const tileX = Math.floor(x);
+  const tileY = Math.floor(y);
+  return (
+    tileY >= 0 &&
+    tileY < grid.length &&
+    tileX >= 0 &&
+    tileX < grid[tileY].length &&
+    grid[tileY][tileX] === 0
+  );
+};
+
+function validateGrid(grid, errors) {
+  if (!Array.isArray(grid) || grid.length === 0) {
+    errors.push("grid must be a non-empty array of rows");
+    return false;
+  }
+  const width = Array.isArray(grid[0]) ? grid[0].length : 0;
+  if (width === 0) {
+    errors.push("grid rows must be non-empty arrays");
+    return false;
+  }
+  grid.forEach((row, y) => {
+    if (!Array.isArray(row) || row.length !== width) {
+      errors.push(`grid row ${y} must have ${width} tiles`);
+      return;
+    }
+    row.forEach((tile, x) => {
+      if (!Number.isInteger(tile) || tile < 0) {
+        errors.push(`grid[${y}][${x}] must be a non-negative integer`);
+      }
+    });
+  });
+  return errors.length === 0;
+}
+
+// Optional per-tile material grid, same shape as the tile grid
+function validateSurfaceGrid(surface, label, grid, errors) {
+  if (surface === undefined) return;
+  if (
+    !Array.isArray(surface) ||
+    (grid && surface.length !== grid.length) ||
+    surface.some((row) => !Array.isArray(row))
+  ) {
+    errors.push(`${label} must be a grid with the same rows as grid`);
+    return;
+  }
+  surface.forEach((row, y) => {
+    if (grid && row.length !== grid[0].length) {
+      errors.push(`${label} row ${y} must have ${grid[0].length} tiles`);
+    }
+    row.forEach((material, x) => {
+      if (!Number.isInteger(material) || material < 0) {
+        errors.push(`${label}[${y}][${x}] must be a non-negative integer`);
+      }
+    });
+  });
+}
+
+const isTileAt = (grid, x, y, tile) =>
+  Number.isInteger(x) &&
+  Number.isInteger(y) &&
+  y >= 0 &&
+  y < grid.length &&
+  x >= 0 &&
+  x < grid[y].length &&
+  grid[y][x] === tile;
+
+function validateDoors(doors, switches, grid, errors) {
+  if (!Array.isArray(doors)) {
+    errors.push("doors must be an array");
+  } else {
+    doors.forEach((door, i) => {
+      if (grid && !isTileAt(grid, door?.x, door?.y, DOOR_TILE)) {
+        errors.push(`doors[${i}] must point at a door tile (${DOOR_TILE})`);
+      }
+      if (
+        door?.trigger !== undefined &&
+        !Object.values(DOOR_TRIGGER).includes(door.trigger)
+      ) {
+        errors.push(`doors[${i}].trigger "${door.trigger}" is not supported`);
+      }
+      if (door?.key !== undefined && typeof door.key !== "string") {
+        errors.push(`doors[${i}].key must be a string`);
+      }
+    });
+  }
+
+  if (!Array.isArray(switches)) {
+    errors.push("switches must be an array");
+    return;
+  }
+  switches.forEach((switchTile, i) => {
+    if (grid && !isTileAt(grid, switchTile?.x, switchTile?.y, SWITCH_TILE)) {
+      errors.push(
+        `switches[${i}] must point at a switch tile (${SWITCH_TILE})`,
+      );
+    }
+    if (!Array.isArray(switchTile?.doors)) {
+      errors.push(`switches[${i}].doors must be an array`);
+      return;
+    }
+    switchTile.doors.forEach((target, j) => {
+      if (grid && !isTileAt(grid, target?.x, target?.y, DOOR_TILE)) {
+        errors.push(`switches[${i}].doors[${j}] must point at a door tile`);
+      }
+    });
+  });
+}
+
+function validatePoint(point, label, grid, errors) {
+  if (!point || !isFiniteNumber(point.x) || !isFiniteNumber(point.y)) {
+    errors.push(`${label} must have numeric x and y`);
+  } else if (grid && !isFloorAt(grid, point.x, point.y)) {
+    errors.push(`${label} (${point.x}, ${point.y}) is not on a floor tile`);
+  }
+}
+
+/**
+ * Check raw level data and return a normalised copy.
+ *
+ * @param {Object} data - parsed level JSON
+ * @returns {Object} level with defaults filled in
+ * @throws {Error} listing every problem found
+ */
+export function validateLevel(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") {
+    throw new Error("Invalid level: expected an object");
+  }
+
+  if (data.version !== LEVEL_FORMAT_VERSION) {
+    errors.push(
+      `unsupported version ${data.version} (expected ${LEVEL_FORMAT_VERSION})`,
+    );
+  }
+  if (typeof data.id !== "string" || data.id.length === 0) {
+    errors.push("id must be a non-empty string");
+  }
+
+  const grid = validateGrid(data.grid, errors) ? data.grid : null;
+
+  validatePoint(data.playerStart, "playerStart", grid, errors);
+  if (
+    data.playerStart?.angle !== undefined &&
+    !isFiniteNumber(data.playerStart.angle)
+  ) {
+    errors.push("playerStart.angle must be a number");
+  }
+
+  const enemySpawns = data.enemySpawns ?? [];
+  if (!Array.isArray(enemySpawns) || enemySpawns.length === 0) {
+    errors.push("enemySpawns must be a non-empty array");
+  } else {
+    enemySpawns.forEach((spawn, i) =>
+      validatePoint(spawn, `enemySpawns[${i}]`, grid, errors),
+    );
+  }
+
+  const pickups = data.pickups ?? [];
+  if (!Array.isArray(pickups)) {
+    errors.push("pickups must be an array");
+  } else {
+    pickups.forEach((pickup, i) =>
+      validatePoint(pickup, `pickups[${i}]`, grid, errors),
+    );
+  }
+
+  validateSurfaceGrid(data.floor, "floor", grid, errors);
+  validateSurfaceGrid(data.ceiling, "ceiling", grid, errors);
+
+  const doors = data.doors ?? [];
+  const switches = data.switches ?? [];
+  validateDoors(doors, switches, grid, errors);
+
+  // The director checks what's inside (director.waveConfig)
+  const waves = data.waves ?? null;
+  if (waves !== null && (typeof waves !== "object" || Array.isArray(waves))) {
+    errors.push("waves must be an object");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid level "${data.id ?? "?"}":\n  ${errors.join("\n  ")}`,
+    );
+  }
+
+  return {
+    version: data.version,
+    id: data.id,
+    name: data.name ?? data.id,
+    author: data.author ?? null,
+    grid: data.grid.map((row) => [...row]),
+    playerStart: {
+      x: data.playerStart.x,
+      y: data.playerStart.y,
+      angle: data.playerStart.angle ?? 0,
+    },
+    enemySpawns: enemySpawns.map(({ x, y }) => ({ x, y })),
+    pickups: pickups.map(({ x, y, type }) => ({ x, y, type: type ?? null })),
+    floor: (data.floor ?? zeroGrid(data.grid)).map((row) => [...row]),
+    ceiling: (data.ceiling ?? zeroGrid(data.grid)).map((row) => [...row]),
+    doors: doors.map(({ x, y, trigger, key }) => ({ x, y, trigger, key })),
+    switches: switches.map(({ x, y, doors: targets }) => ({
+      x,
+      y,
+      doors: targets.map((target) => ({ x: target.x, y: target.y })),
+    })),
+    ...(waves !== null ? { waves: structuredClone(waves) } : {}),
+  };
+}
+
+// Walkable grid for static checks: doors count as open
+const walkableWithDoors = (grid) =>
+  grid.map((row) => row.map((tile) => tile === 0 || tile === DOOR_TILE));
+
+/**
+ * Floor tiles that can't be walked to from the player start (doors count as
+ * passable), found with one flood fill out from the start. Paths never cut
+ * corners, so filling to the four side neighbours reaches the same tiles.
+ *
+ * @param {Object} level - normalised level (see validateLevel)
+ * @returns {{x: number, y: number}[]} in row order
+ */
+export function findUnreachableTiles(level) {
+  const walkable = walkableWithDoors(level.grid);
+  const start = {
+    x: Math.floor(level.playerStart.x),
+    y: Math.floor(level.playerStart.y),
+  };
+  const reached = walkable.map((row) => row.map(() => false));
+  reached[start.y][start.x] = true;
+
+  const queue = [start];
+  for (let i = 0; i < queue.length; i++) {
+    const { x, y } = queue[i];
+    [
+      [x + 1, y],
+      [x - 1, y],
+      [x, y + 1],
+      [x, y - 1],
+    ].forEach(([nx, ny]) => {
+      if (!walkable[ny]?.[nx] || reached[ny][nx]) return;
+      reached[ny][nx] = true;
+      queue.push({ x: nx, y: ny });
+    });
+  }
+
+  return walkable.flatMap((row, y) =>
+    row.flatMap((isWalkable, x) =>
+      isWalkable && !reached[y][x] ? [{ x, y }] : [],
+    ),
+  );
+}
+
+/**
+ * Everything that would make a level unplayable, as readable messages:
+ * format errors, an unwalkable player start, and enemy spawns with no path
+ * to the player start (doors count as open).
+ *
+ * @param {Object} data - parsed level JSON
+ * @returns {string[]} empty when the level is playable
+ */
+export function findPlayabilityProblems(data) {
+  let level;
+  try {
+    level = validateLevel(data);
+  } catch (error) {
+    return error.message
+      .split("\n")
+      .slice(1)
+      .map((line) => line.trim());
+  }
+
+  const walkable = walkableWithDoors(level.grid);
+  const { x: startX, y: startY } = level.playerStart;
+  return level.enemySpawns
+    .filter(({ x, y }) => !findPath(x, y, startX, startY, walkable))
+    .map(({ x, y }) => `enemy spawn (${x}, ${y}) can't reach the player`);
+}
+
+const formatGrid = (grid) =>
+  `[\n${grid.map((row) => `    [${row.join(", ")}]`).join(",\n")}\n  ]`;
+
+/**
+ * Level JSON with one grid row per line, matching the files in levels/.
+ *
+ * @param {Object} level - normalised level
+ * @returns {string}
+ */
+export function serializeLevel(level) {
+  const gridKeys = ["grid", "floor", "ceiling"];
+  const placeholders = {};
+  const body = JSON.stringify(
+    level,
+    (key, value) => {
+      if (!gridKeys.includes(key)) return value;
+      placeholders[key] = formatGrid(value);
+      return `@@${key}@@`;
+    },
+    2,
+  );
+  return `${body.replace(/"@@(\w+)@@"/g, (_, key) => placeholders[key])}\n`;
+}
+
+/**
+ * Validate a level and make it the active one: replaces the map grid, which
+ * in turn rebuilds raycasting bounds, collision and the pathfinding grid.
+ * Until a game state is stepped on it, its doors count as closed.
+ *
+ * @param {Object} data - parsed level JSON
+ * @returns {Object} the normalised, now active level
+ */
+export function loadLevel(data) {
+  const level = validateLevel(data);
+  setActiveDoors(createDoors(level).doors);
+  setMap(level.grid, { floor: level.floor, ceiling: level.ceiling });
+  activeLevel = level;
+  return level;
+}
+
+/**
+ * Fetch a level JSON file and load it.
+ *
+ * @param {string} [url]
+ * @returns {Promise<Object>} the active level
+ */
+export async function fetchLevel(url = DEFAULT_LEVEL_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch level ${url}: HTTP ${response.status}`);
+  }
+  return loadLevel(await response.json());
+}
@@ -0,0 +1,87 @@
+import { MAP, onMapChange, hasLineOfSight } from "./map.js";
+import { GAME_CONFIG, getWallMaterial } from "./utils.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Lighting and distance fog shared by walls, floor/ceiling and billboards.
+// ──────────────────────────────────────────────────────────────────────────────
+const { AMBIENT, FOG_DENSITY } = GAME_CONFIG.LIGHTING;
+
+// Static light per tile from wall materials with a `light` entry, sampled at
+// tile centres and re-baked whenever the map changes
+let lightMap = [];
+let dynamicLights = [];
+
+// Light falls off smoothly to zero at its radius
+const falloff = (distance, radius) =>
+  distance >= radius ? 0 : (1 - distance / radius) ** 2;
+
+function bakeLightMap(grid) {
+  const emitters = grid.flatMap((row, y) =>
+    row.flatMap((tile, x) => {
+      const light = tile !== 0 && getWallMaterial(tile).light;
+      return light ? [{ x: x + 0.5, y: y + 0.5, ...light }] : [];
+    }),
+  );
+
+  lightMap = grid.map((row, y) =>
+    row.map((tile, x) =>
+      emitters.reduce((sum, light) => {
+        const distance = Math.hypot(x + 0.5 - light.x, y + 0.5 - light.y);
+        if (distance >= light.radius) return sum;
+        if (!hasLineOfSight(light.x, light.y, x + 0.5, y + 0.5)) return sum;
+        return sum + light.intensity * falloff(distance, light.radius);
+      }, 0),
+    ),
+  );
+}
+bakeLightMap(MAP);
+onMapChange(bakeLightMap);
+
+const staticLightAt = (tileX, tileY) => lightMap[tileY]?.[tileX] ?? 0;
+
+// Bilinear blend of the four nearest tile centres
+function sampleLightMap(x, y) {
+  const fx = x - 0.5;
+  const fy = y - 0.5;
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const top = staticLightAt(x0, y0) * (1 - tx) + staticLightAt(x0 + 1, y0) * tx;
+  const bottom =
+    staticLightAt(x0, y0 + 1) * (1 - tx) + staticLightAt(x0 + 1, y0 + 1) * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Replace this frame's dynamic lights.
+ *
+ * @param {{x: number, y: number, radius: number, intensity: number}[]} lights
+ */
+export function setDynamicLights(lights) {
+  dynamicLights = lights;
+}
+
+/**
+ * Light and fog at a world point seen from `distance` away:
+ * min(1, ambient + static + dynamic light) * exp(-fogDensity * distance).
+ * Callers blend the colour towards the fog colour by 1 - value.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} distance - from the camera
+ * @param {boolean} [emissive] - the surface is its own light source
+ * @returns {number} 0 = fully fogged / dark, 1 = full colour
+ */
+export function lightValue(x, y, distance, emissive = false) {
+  const fog = Math.exp(-FOG_DENSITY * distance);
+  if (emissive) return fog;
+
+  let light = AMBIENT + sampleLightMap(x, y);
+  for (const source of dynamicLights) {
+    light +=
+      source.intensity *
+      falloff(Math.hypot(x - source.x, y - source.y), source.radius);
+  }
+  return Math.min(1, light) * fog;
+}
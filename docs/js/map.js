@@ -1,29 +1,135 @@
-export const MAP = [
-  [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-  [1, 1, 0, 0, 0, 1, 1, 0, 0, 0, 1, 1],
-  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-  [1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1],
-  [1, 1, 0, 0, 1, 1, 1, 1, 0, 0, 1, 1],
-  [1, 1, 0, 0, 1, 1, 1, 1, 0, 0, 1, 1],
-  [1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1],
-  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-  [1, 1, 0, 0, 0, 1, 1, 0, 0, 0, 1, 1],
-  [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-];
+import { DOOR_TILE, getDoor, isDoorPassable } from "./doors.js";
+
+// Active tile grid. Starts empty and is replaced by setMap() when a level is
+// loaded (see level.js); importers see the new grid through the live binding.
+export let MAP = [];
+// Per-tile floor / ceiling material ids, same dimensions as MAP
+let FLOOR_MAP = [];
+let CEILING_MAP = [];
+
+const mapChangeListeners = [];
+
+/**
+ * Subscribe to map replacement. The listener runs after every setMap() call.
+ *
+ * @param {(map: number[][]) => void} listener
+ */
+export function onMapChange(listener) {
+  mapChangeListeners.push(listener);
+}
+
+const copyGrid = (grid) => grid.map((row) => [...row]);
+const zeroGridLike = (grid) => grid.map((row) => row.map(() => 0));
+
+/**
+ * Replace the active grid and rebuild everything derived from it.
+ *
+ * @param {number[][]} grid - rows of tile ids (0 = floor, anything else solid)
+ * @param {{floor?: number[][], ceiling?: number[][]}} [surfaces] - per-tile
+ *   floor / ceiling material ids; missing grids default to material 0
+ */
+export function setMap(grid, { floor, ceiling } = {}) {
+  MAP = copyGrid(grid);
+  FLOOR_MAP = floor ? copyGrid(floor) : zeroGridLike(grid);
+  CEILING_MAP = ceiling ? copyGrid(ceiling) : zeroGridLike(grid);
+  MAP_HEIGHT = MAP.length;
+  MAP_WIDTH = MAP_HEIGHT > 0 ? MAP[0].length : 0;
+  mapChangeListeners.forEach((listener) => listener(MAP));
+}
+
+/** Floor material id under a world position (0 outside the map). */
+export const floorAt = (x, y) =>
+  isInBounds(Math.floor(x), Math.floor(y))
+    ? FLOOR_MAP[Math.floor(y)][Math.floor(x)]
+    : 0;
+
+/** Ceiling material id above a world position (0 outside the map). */
+export const ceilingAt = (x, y) =>
+  isInBounds(Math.floor(x), Math.floor(y))
+    ? CEILING_MAP[Math.floor(y)][Math.floor(x)]
+    : 0;
 
-// Pre-calculate step size for better performance
-const RAY_STEP = 1;
 const MAX_DISTANCE = 200;
-const MAP_HEIGHT = MAP.length;
-const MAP_WIDTH = MAP[0].length;
-const isWallAt = (gridX, gridY) =>
-  gridY >= 0 &&
-  gridY < MAP_HEIGHT &&
-  gridX >= 0 &&
-  gridX < MAP_WIDTH &&
-  MAP[gridY][gridX] === 1;
+// The world edge behaves like a plain wall
+const OUT_OF_BOUNDS_TILE = 1;
+let MAP_HEIGHT = 0;
+let MAP_WIDTH = 0;
+const isInBounds = (gridX, gridY) =>
+  gridY >= 0 && gridY < MAP_HEIGHT && gridX >= 0 && gridX < MAP_WIDTH;
+const isWallAt = (gridX, gridY) => {
+  if (!isInBounds(gridX, gridY)) return false;
+  const tile = MAP[gridY][gridX];
+  if (tile === DOOR_TILE) {
+    const door = getDoor(gridX, gridY);
+    return !door || !isDoorPassable(door);
+  }
+  return tile !== 0;
+};
+
+// Wall faces, named by the compass side of the cell that was struck
+// (north = towards y = 0, west = towards x = 0)
+export const WALL_SIDE = {
+  NORTH: "N",
+  SOUTH: "S",
+  EAST: "E",
+  WEST: "W",
+};
+
+/**
+ * Intersect a ray with a door's sliding panel, which lies on the cell's
+ * midline and slides into the wall on its far side as it opens.
+ *
+ * @returns {{rayLength: number, side: string, wallX: number}|null} null if
+ *   the ray leaves the cell first or passes through the open gap
+ */
+function doorPanelHit(door, originX, originY, directionX, directionY) {
+  const panelAcrossX = door.axis === "x";
+  const directionAcross = panelAcrossX ? directionX : directionY;
+  if (directionAcross === 0) return null;
+
+  const rayLength = panelAcrossX
+    ? (door.x + 0.5 - originX) / directionX
+    : (door.y + 0.5 - originY) / directionY;
+  if (rayLength < 0) return null;
+
+  const along = panelAcrossX
+    ? originY + directionY * rayLength - door.y
+    : originX + directionX * rayLength - door.x;
+  if (along < door.openAmount || along >= 1) return null;
+
+  const side = panelAcrossX
+    ? directionX > 0
+      ? WALL_SIDE.WEST
+      : WALL_SIDE.EAST
+    : directionY > 0
+      ? WALL_SIDE.NORTH
+      : WALL_SIDE.SOUTH;
+  // Texture travels with the panel
+  const panelX = along - door.openAmount;
+  const wallX =
+    side === WALL_SIDE.EAST || side === WALL_SIDE.NORTH ? 1 - panelX : panelX;
+  return { rayLength, side, wallX };
+}
+
+/**
+ * Cast a ray with exact grid traversal (DDA): every cell boundary the ray
+ * crosses is visited, so thin corners can't be skipped. Door cells are hit on
+ * their sliding panel, so partly open doors show the gap.
+ *
+ * @param {number} rayAngleRadians
+ * @param {number} playerWorldPositionX
+ * @param {number} playerWorldPositionY
+ * @param {number} playerFacingAngleRadians - used for fisheye correction
+ * @returns {{
+ *   distance: number,  // perpendicular (fisheye-corrected) distance
+ *   rayLength: number, // euclidean distance along the ray
+ *   cellX: number, cellY: number,
+ *   tile: number,      // tile id of the hit cell (0 if nothing was hit)
+ *   side: string|null, // WALL_SIDE face that was hit
+ *   wallX: number,     // [0, 1) hit position along the face, left to right
+ *   hitX: number, hitY: number,
+ * }}
+ */
 export function castRay(
   rayAngleRadians,
   playerWorldPositionX,
@@ -39,45 +145,122 @@ export function castRay(
     rayAngleRadians - playerFacingAngleRadians,
   );
 
-  // Initialize ray at player's position
-  let currentRayPositionX = playerWorldPositionX;
-  let currentRayPositionY = playerWorldPositionY;
+  // Start in the player's cell
+  let currentMapCellX = Math.floor(playerWorldPositionX);
+  let currentMapCellY = Math.floor(playerWorldPositionY);
+
+  // Ray length needed to cross one whole cell along each axis
+  const deltaDistanceX =
+    rayDirectionVectorX === 0 ? Infinity : Math.abs(1 / rayDirectionVectorX);
+  const deltaDistanceY =
+    rayDirectionVectorY === 0 ? Infinity : Math.abs(1 / rayDirectionVectorY);
+
+  // Grid step direction and ray length to the first boundary on each axis
+  const stepX = rayDirectionVectorX < 0 ? -1 : 1;
+  const stepY = rayDirectionVectorY < 0 ? -1 : 1;
+  let sideDistanceX =
+    rayDirectionVectorX < 0
+      ? (playerWorldPositionX - currentMapCellX) * deltaDistanceX
+      : (currentMapCellX + 1 - playerWorldPositionX) * deltaDistanceX;
+  let sideDistanceY =
+    rayDirectionVectorY < 0
+      ? (playerWorldPositionY - currentMapCellY) * deltaDistanceY
+      : (currentMapCellY + 1 - playerWorldPositionY) * deltaDistanceY;
+
   let accumulatedRayDistance = 0;
+  let crossedVerticalBoundary = false;
+  let tile = 0;
+  let doorHit = null;
 
-  // Traverse ray path until max distance
+  // Step to whichever boundary is nearer until a solid cell is entered
   while (accumulatedRayDistance < MAX_DISTANCE) {
-    // Advance ray position by whole grid units
-    currentRayPositionX += rayDirectionVectorX;
-    currentRayPositionY += rayDirectionVectorY;
-
-    // Update distance traveled (Pythagorean approximation)
-    accumulatedRayDistance = Math.hypot(
-      currentRayPositionX - playerWorldPositionX,
-      currentRayPositionY - playerWorldPositionY,
-    );
-
-    // Calculate current grid cell WITHOUT flooring
-    const currentMapCellX = Math.trunc(currentRayPositionX);
-    const currentMapCellY = Math.trunc(currentRayPositionY);
-
-    // Check if ray has exited map bounds
-    if (
-      currentMapCellY < 0 ||
-      currentMapCellY >= MAP_HEIGHT ||
-      currentMapCellX < 0 ||
-      currentMapCellX >= MAP_WIDTH
-    ) {
-      return accumulatedRayDistance * fisheyeCorrectionFactor;
+    if (sideDistanceX < sideDistanceY) {
+      accumulatedRayDistance = sideDistanceX;
+      sideDistanceX += deltaDistanceX;
+      currentMapCellX += stepX;
+      crossedVerticalBoundary = true;
+    } else {
+      accumulatedRayDistance = sideDistanceY;
+      sideDistanceY += deltaDistanceY;
+      currentMapCellY += stepY;
+      crossedVerticalBoundary = false;
     }
 
-    // Check for wall collision
-    if (MAP[currentMapCellY][currentMapCellX] === 1) {
-      return accumulatedRayDistance * fisheyeCorrectionFactor;
+    if (!isInBounds(currentMapCellX, currentMapCellY)) {
+      tile = OUT_OF_BOUNDS_TILE;
+      break;
+    }
+    const door =
+      MAP[currentMapCellY][currentMapCellX] === DOOR_TILE &&
+      getDoor(currentMapCellX, currentMapCellY);
+    if (door) {
+      doorHit = doorPanelHit(
+        door,
+        playerWorldPositionX,
+        playerWorldPositionY,
+        rayDirectionVectorX,
+        rayDirectionVectorY,
+      );
+      if (doorHit) {
+        tile = DOOR_TILE;
+        accumulatedRayDistance = doorHit.rayLength;
+        break;
+      }
+      continue;
     }
+    if (isWallAt(currentMapCellX, currentMapCellY)) {
+      tile = MAP[currentMapCellY][currentMapCellX];
+      break;
+    }
+  }
+
+  if (tile === 0) {
+    // Nothing within range
+    return {
+      distance: MAX_DISTANCE * fisheyeCorrectionFactor,
+      rayLength: MAX_DISTANCE,
+      cellX: currentMapCellX,
+      cellY: currentMapCellY,
+      tile: 0,
+      side: null,
+      wallX: 0,
+      hitX: playerWorldPositionX + rayDirectionVectorX * MAX_DISTANCE,
+      hitY: playerWorldPositionY + rayDirectionVectorY * MAX_DISTANCE,
+    };
   }
 
-  // Return max distance with fisheye correction
-  return accumulatedRayDistance * fisheyeCorrectionFactor;
+  const hitX =
+    playerWorldPositionX + rayDirectionVectorX * accumulatedRayDistance;
+  const hitY =
+    playerWorldPositionY + rayDirectionVectorY * accumulatedRayDistance;
+
+  // Which face was struck, and where along it. wallX is flipped on the
+  // east and north faces so it always runs left to right for a viewer.
+  let side;
+  let wallX;
+  if (doorHit) {
+    ({ side, wallX } = doorHit);
+  } else if (crossedVerticalBoundary) {
+    side = stepX > 0 ? WALL_SIDE.WEST : WALL_SIDE.EAST;
+    wallX = hitY - Math.floor(hitY);
+    if (side === WALL_SIDE.EAST) wallX = 1 - wallX;
+  } else {
+    side = stepY > 0 ? WALL_SIDE.NORTH : WALL_SIDE.SOUTH;
+    wallX = hitX - Math.floor(hitX);
+    if (side === WALL_SIDE.NORTH) wallX = 1 - wallX;
+  }
+
+  return {
+    distance: accumulatedRayDistance * fisheyeCorrectionFactor,
+    rayLength: accumulatedRayDistance,
+    cellX: currentMapCellX,
+    cellY: currentMapCellY,
+    tile,
+    side,
+    wallX,
+    hitX,
+    hitY,
+  };
 }
 const OFFSETS = [
   [-1, -1],
@@ -94,3 +277,46 @@ export const isCollidingWithWall = (x, y, radius = 0.2) =>
   OFFSETS.some(([dx, dy]) =>
     isWallAt(Math.floor(x + dx * radius), Math.floor(y + dy * radius)),
   );
+
+/**
+ * True when no solid tile or closed door lies on the straight line between two
+ * world points. Walks the cells the line crosses the way castRay does, so it
+ * can't slip through a corner. The tiles holding the end points are ignored,
+ * so a light set into a wall can still see out of it.
+ */
+export function hasLineOfSight(x0, y0, x1, y1) {
+  const directionX = x1 - x0;
+  const directionY = y1 - y0;
+  let cellX = Math.floor(x0);
+  let cellY = Math.floor(y0);
+  const endCellX = Math.floor(x1);
+  const endCellY = Math.floor(y1);
+
+  const deltaDistanceX = directionX === 0 ? Infinity : Math.abs(1 / directionX);
+  const deltaDistanceY = directionY === 0 ? Infinity : Math.abs(1 / directionY);
+  const stepX = directionX < 0 ? -1 : 1;
+  const stepY = directionY < 0 ? -1 : 1;
+  let sideDistanceX =
+    directionX < 0
+      ? (x0 - cellX) * deltaDistanceX
+      : (cellX + 1 - x0) * deltaDistanceX;
+  let sideDistanceY =
+    directionY < 0
+      ? (y0 - cellY) * deltaDistanceY
+      : (cellY + 1 - y0) * deltaDistanceY;
+
+  // One boundary is crossed per step, so this many steps reach the end cell
+  const crossings = Math.abs(endCellX - cellX) + Math.abs(endCellY - cellY);
+  for (let i = 1; i < crossings; i++) {
+    if (sideDistanceX < sideDistanceY) {
+      sideDistanceX += deltaDistanceX;
+      cellX += stepX;
+    } else {
+      sideDistanceY += deltaDistanceY;
+      cellY += stepY;
+    }
+    if (cellX === endCellX && cellY === endCellY) return true;
+    if (isWallAt(cellX, cellY)) return false;
+  }
+  return true;
+}
@@ -1,4 +1,5 @@
-import { MAP } from "./map.js"; // Import game map data
+import { MAP, onMapChange } from "./map.js"; // Subscribe to level loads
+import { getDoors, onDoorChange } from "./doors.js"; // Doors open and close paths
 import { GAME_CONFIG } from "./utils.js"; // Import game configuration
 import * as R from "ramda"; // Import Ramda functional library
 
@@ -12,9 +13,41 @@ const DIAGONAL = PF.DIAGONAL_COST ?? Math.SQRT2;
 // Maximum allowed path length (default unlimited)
 const MAX_LEN = PF.MAX_PATH_LENGTH ?? Infinity;
 
-export function findPath(startX, startY, endX, endY) {
+/* -------- walkable grid: the map plus the active doors, rebuilt -------- */
+/* -------- whenever the map or a door's passability changes      -------- */
+let WALKABLE = [];
+function rebuildWalkable() {
+  WALKABLE = toWalkableGrid(MAP);
+  getDoors()
+    .filter((door) => inBounds(WALKABLE, door.x, door.y))
+    .forEach((door) => {
+      WALKABLE[door.y][door.x] = door.passable;
+    });
+}
+onMapChange(rebuildWalkable);
+onDoorChange(rebuildWalkable);
+
+// Boolean walkable grid for a tile grid (0 = floor)
+export function toWalkableGrid(tiles) {
+  return R.map(
+    R.map((tile) => tile === 0),
+    tiles,
+  );
+}
+
+// Is a tile currently walkable (floor, or a door that is open)?
+export const isWalkableTile = (x, y) => walkable(WALKABLE, x, y);
+
+/**
+ * A* from one world position to another over the active map, or over
+ * `grid` (see toWalkableGrid) when checking a level that isn't loaded.
+ */
+export function findPath(startX, startY, endX, endY, grid = WALKABLE) {
   return R.pipe(
-    () => convertPixelCoordinatesToTileIFNeeded(startX, startY, endX, endY),
+    () => ({
+      ...convertPixelCoordinatesToTileIFNeeded(startX, startY, endX, endY),
+      grid,
+    }),
     validateStartandEndPoints,
     R.cond([
       // If stage.kind is "ok", then run the A* search
@@ -33,13 +66,13 @@ function convertPixelCoordinatesToTileIFNeeded(startX, startY, endX, endY) {
     gy: snapToGrid(endY),
   };
 }
-function snapToGrid(pixelCoord) {
-  return Number.isInteger(pixelCoord)
-    ? pixelCoord
-    : Math.floor(pixelCoord / GAME_CONFIG.TILE_SIZE);
+// World coordinates are already in tile units; just drop the fraction
+function snapToGrid(worldCoord) {
+  return Math.floor(worldCoord);
 }
 function validateStartandEndPoints(ctx) {
-  return !walkable(ctx.sx, ctx.sy) || !walkable(ctx.gx, ctx.gy)
+  return !walkable(ctx.grid, ctx.sx, ctx.sy) ||
+    !walkable(ctx.grid, ctx.gx, ctx.gy)
     ? { kind: "invalid" } // Invalid if either position is blocked
     : ctx.sx === ctx.gx && ctx.sy === ctx.gy
       ? { kind: "done", path: [] } // Already at destination
@@ -47,9 +80,9 @@ function validateStartandEndPoints(ctx) {
 } // Proceed with search
 // This function's only job is to run the A* search.
 function runAstar(stage) {
-  const { sx, sy, gx, gy } = stage.ctx; // No longer needs a check
+  const { sx, sy, gx, gy, grid } = stage.ctx; // No longer needs a check
   const startK = key(sx, sy);
-  const goal = { x: gx, y: gy, k: key(gx, gy) };
+  const goal = { x: gx, y: gy, k: key(gx, gy), grid };
 
   const init = {
     open: [{ x: sx, y: sy, f: H(sx, sy, gx, gy) }],
@@ -139,7 +172,7 @@ function step(goal) {
           // Start with open list without current
           { open: openWithoutCurrent, gScore, fScore, parents },
           // Get neighbors for current position
-          neighbors8(current.x, current.y),
+          neighbors8(goal.grid, current.x, current.y),
         );
 
     // Add current to closed set
@@ -155,7 +188,7 @@ function step(goal) {
 }
 // Find index of node with lowest f-score in open list
 function pickBestIndex(open) {
-  return R.reduce(
+  return R.addIndex(R.reduce)(
     (best, n, i) => (best === null || n.f < open[best].f ? i : best),
     null, // Initial best index (none)
     open,
@@ -230,12 +263,12 @@ function unkey(k) {
   return R.map(Number, k.split(","));
 }
 // Check if coordinates are within map bounds
-function inBounds(x, y) {
-  return y >= 0 && y < MAP.length && x >= 0 && x < MAP[0].length;
+function inBounds(grid, x, y) {
+  return y >= 0 && y < grid.length && x >= 0 && x < grid[0].length;
 }
-// Check if tile is walkable (0 = walkable)
-function walkable(x, y) {
-  return inBounds(x, y) && MAP[y][x] === 0;
+// Check if tile is walkable in a precomputed walkable grid
+function walkable(grid, x, y) {
+  return inBounds(grid, x, y) && grid[y][x];
 }
 
 /* Admissible heuristic for 8-direction movement with costs: OCTILE distance */
@@ -248,7 +281,7 @@ function H(x1, y1, x2, y2) {
 }
 
 /* Generate 8-direction neighbors with movement costs */
-function neighbors8(x, y) {
+function neighbors8(grid, x, y) {
   return R.pipe(
     // Define all 8 possible directions with costs
     () => [
@@ -267,12 +300,12 @@ function neighbors8(x, y) {
         // Always allow orthogonal moves
         Math.abs(dx) + Math.abs(dy) === 1 ||
         // For diagonals, require both adjacent orthogonals to be walkable
-        (walkable(x + dx, y) && walkable(x, y + dy)),
+        (walkable(grid, x + dx, y) && walkable(grid, x, y + dy)),
     ),
     // Convert directions to actual neighbor coordinates
     R.map(([dx, dy, c]) => [x + dx, y + dy, c]),
     // Filter out unwalkable neighbors
-    R.filter(([nx, ny]) => walkable(nx, ny)),
+    R.filter(([nx, ny]) => walkable(grid, nx, ny)),
   )();
 } // Immediately execute the pipeline
 
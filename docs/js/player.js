@@ -1,10 +1,20 @@
 import { GAME_CONFIG } from "./utils.js";
 import { isCollidingWithWall } from "./map.js";
+import { emitEvent, GAME_EVENTS } from "./events.js";
 
-export const player = {
-  x: 3.5, // Moved to more open area
-  y: 3.5, // Away from corners and walls
-  angle: 0,
+// Bullets leave the gun a little below eye level
+export const GUN_HEIGHT = GAME_CONFIG.EYE_HEIGHT - 0.1;
+
+/**
+ * A fresh player standing at a level start point, at rest and at full health.
+ *
+ * @param {{x: number, y: number, angle: number}} start
+ */
+export const createPlayer = (start) => ({
+  x: start.x,
+  y: start.y,
+  angle: start.angle,
+  pitch: 0, // Vertical look, radians (positive = looking up)
   fov: GAME_CONFIG.FOV,
   speed: GAME_CONFIG.PLAYER_SPEED * 0.3, // Reduced movement speed
   turnSpeed: 0.075, // Increased by 1.5x
@@ -20,9 +30,28 @@ export const player = {
     swingOffset: 0,
     swingSpeed: 0.1,
   },
-};
+});
+
+/**
+ * Hurt the player, reporting it as playerDamaged.
+ *
+ * @param {Object} state
+ * @param {number} amount
+ * @param {number} source - id of the enemy responsible
+ * @param {{x: number, y: number}} from - where the hit came from
+ */
+export function damagePlayer(state, amount, source, from) {
+  const { player } = state;
+  player.health = Math.max(0, player.health - amount);
+  emitEvent(state, GAME_EVENTS.PLAYER_DAMAGED, {
+    amount,
+    health: player.health,
+    source,
+    direction: Math.atan2(from.y - player.y, from.x - player.x),
+  });
+}
 
-export function updatePlayerMovement(keys) {
+export function updatePlayerMovement(player, keys) {
   // Apply acceleration based on input
   if (keys.w) {
     player.velocity.x += Math.cos(player.angle) * player.acceleration;
@@ -66,23 +95,9 @@ export function updatePlayerMovement(keys) {
   // Mouse controls rotation now, so we just apply rotation friction
   player.rotationVelocity *= player.rotationFriction;
   player.angle += player.rotationVelocity;
-}
 
-export function shoot(state) {
-  const now = Date.now();
-  if (now - state.lastShot >= state.shootCooldown && state.bullets > 0) {
-    // Create bullet from center of screen (crosshair position)
-    const bulletDistance = 0.25; // Reduced distance to match centered crosshair
-    state.projectiles.push({
-      x: player.x + Math.cos(player.angle) * bulletDistance,
-      y: player.y + Math.sin(player.angle) * bulletDistance,
-      angle: player.angle,
-      speed: 0.25, // Faster bullets per ThePrimeagen
-      damage: 25, // Keep damage the same
-      lifetime: 2000, // 2 second lifetime for longer travel
-      created: now,
-    });
-    state.lastShot = now;
-    state.bullets--;
+  // Swing the arms while walking
+  if (keys.w || keys.s) {
+    player.arms.swingOffset += player.arms.swingSpeed;
   }
 }
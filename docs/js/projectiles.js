@@ -0,0 +1,225 @@
+import { calculateDistance } from "./utils.js";
+import { isCollidingWithWall } from "./map.js";
+import { alertTo } from "./ai.js";
+import { damagePlayer } from "./player.js";
+import { emitEvent, GAME_EVENTS } from "./events.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Projectiles in flight and the hit flashes they leave behind.
+// ──────────────────────────────────────────────────────────────────────────────
+
+// The player's projectiles hit enemies; enemies' hit the player and, with
+// ENEMY_FRIENDLY_FIRE, any enemy but the one that fired (`owner`)
+export const TEAMS = { PLAYER: "player", ENEMY: "enemy" };
+const ENEMY_FRIENDLY_FIRE = true;
+const PLAYER_HIT_RADIUS = 0.3;
+
+// Short-lived hit flashes, drawn with the other world sprites; position and
+// radius are in world units
+const IMPACT_EFFECT_MS = 100;
+
+export function addImpact(state, x, y, z, color, radius, now) {
+  state.effects.push({
+    x,
+    y,
+    z,
+    color,
+    radius,
+    expires: now + IMPACT_EFFECT_MS,
+  });
+}
+
+export function drawImpact(ctx, effect, { screenX, screenY, size }) {
+  ctx.globalAlpha = 0.5;
+  ctx.fillStyle = effect.color;
+  ctx.beginPath();
+  ctx.arc(screenX, screenY, size * effect.radius, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+export const BULLET_SIZE = 0.15; // world units
+const BULLET_COLORS = { [TEAMS.PLAYER]: "yellow", [TEAMS.ENEMY]: "#ff40c0" };
+const EXPLOSION_COLOR = "#ff8800";
+const EXPLOSION_HEIGHT = 0.45; // world units above the floor
+
+/** Shots this close to an enemy's centre hit it. */
+export const enemyHitRadius = (enemy) => enemy.size / 2;
+
+/**
+ * Damage an enemy and flash the hit; shot by the player, it turns to look
+ * for them. Kills are reported as enemyKilled and the enemy is removed.
+ *
+ * @param {Object} state
+ * @param {Object} enemy - one of state.enemies
+ * @param {number} damage
+ * @param {number} now - current time in ms
+ * @param {string} [by] - the shooter's team
+ */
+export function hitEnemy(state, enemy, damage, now, by = TEAMS.PLAYER) {
+  enemy.health -= damage;
+  if (by === TEAMS.PLAYER) {
+    Object.assign(enemy, alertTo(enemy, state.player.x, state.player.y, now));
+  }
+  const z = enemy.size * 0.6;
+  addImpact(state, enemy.x, enemy.y, z, "#ff0000", 0.3, now);
+  if (enemy.health <= 0) {
+    emitEvent(state, GAME_EVENTS.ENEMY_KILLED, { enemy, by });
+    state.enemies = state.enemies.filter((e) => e !== enemy);
+  }
+}
+
+/**
+ * Blast every enemy within `radius`, for `damage` at the centre falling off
+ * to nothing at the edge.
+ *
+ * @param {Object} state
+ * @param {number} x
+ * @param {number} y
+ * @param {{radius: number, damage: number}} blast
+ * @param {number} now - current time in ms
+ */
+export function explode(state, x, y, { radius, damage }, now) {
+  addImpact(state, x, y, EXPLOSION_HEIGHT, EXPLOSION_COLOR, radius / 2, now);
+  state.enemies
+    .map((enemy) => ({
+      enemy,
+      distance: calculateDistance(x, y, enemy.x, enemy.y),
+    }))
+    .filter(({ distance }) => distance < radius)
+    .forEach(({ enemy, distance }) =>
+      hitEnemy(state, enemy, Math.round(damage * (1 - distance / radius)), now),
+    );
+}
+
+export function drawProjectile(ctx, projectile, { screenX, screenY, size }) {
+  const width = Math.max(12, size * BULLET_SIZE); // Visible yellow bullets per ThePrimeagen
+
+  // Smoke tracer
+  ctx.globalAlpha = 0.3;
+  ctx.fillStyle = "#888888";
+  ctx.beginPath();
+  ctx.moveTo(screenX, screenY);
+  ctx.lineTo(
+    screenX - Math.cos(projectile.angle) * width * 2,
+    screenY - Math.sin(projectile.angle) * width * 2,
+  );
+  ctx.lineTo(
+    screenX - Math.cos(projectile.angle) * width * 3,
+    screenY - Math.sin(projectile.angle) * width * 3,
+  );
+  ctx.closePath();
+  ctx.fill();
+
+  // Yellow bullet (the player's), pink for enemy fire
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = BULLET_COLORS[projectile.team];
+  ctx.beginPath();
+  ctx.arc(screenX, screenY, width / 2, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// What a projectile runs into this tick, besides walls: the player for
+// enemy shots, otherwise the newest enemy in the way
+function findTarget(state, projectile) {
+  const { player } = state;
+  if (
+    projectile.team === TEAMS.ENEMY &&
+    calculateDistance(projectile.x, projectile.y, player.x, player.y) <
+      PLAYER_HIT_RADIUS
+  ) {
+    return { player };
+  }
+  const canHit = (enemy) =>
+    projectile.team === TEAMS.PLAYER ||
+    (ENEMY_FRIENDLY_FIRE && enemy.id !== projectile.owner);
+  const enemy = state.enemies.findLast(
+    (e) =>
+      canHit(e) &&
+      calculateDistance(projectile.x, projectile.y, e.x, e.y) <
+        enemyHitRadius(e),
+  );
+  return enemy ? { enemy } : null;
+}
+
+/**
+ * Move every projectile one tick, resolve wall, player and enemy hits
+ * (explosive ones blow up) and retire expired projectiles and hit flashes.
+ *
+ * @param {Object} state - game state ({projectiles, enemies, effects, ...})
+ * @param {number} now - current time in ms
+ */
+export function updateProjectiles(state, now) {
+  state.projectiles = state.projectiles.filter((projectile) => {
+    // Update position
+    const previousX = projectile.x;
+    const previousY = projectile.y;
+    projectile.x += Math.cos(projectile.angle) * projectile.speed;
+    projectile.y += Math.sin(projectile.angle) * projectile.speed;
+
+    // Check wall collision
+    if (isCollidingWithWall(projectile.x, projectile.y)) {
+      // Wall impact at the last point in front of the wall
+      if (projectile.blast) {
+        explode(state, previousX, previousY, projectile.blast, now);
+      } else {
+        addImpact(
+          state,
+          previousX,
+          previousY,
+          projectile.z,
+          "#ffff00",
+          0.2,
+          now,
+        );
+      }
+      return false;
+    }
+
+    const target = findTarget(state, projectile);
+    if (target?.player) {
+      // It came from straight behind the way it flies
+      damagePlayer(state, projectile.damage, projectile.owner, {
+        x: target.player.x - Math.cos(projectile.angle),
+        y: target.player.y - Math.sin(projectile.angle),
+      });
+      return false;
+    }
+    if (target) {
+      if (projectile.blast) {
+        explode(state, projectile.x, projectile.y, projectile.blast, now);
+      } else {
+        hitEnemy(state, target.enemy, projectile.damage, now, projectile.team);
+      }
+      return false; // Remove bullet on hit
+    }
+
+    // Check lifetime
+    return now - projectile.created <= projectile.lifetime;
+  });
+  state.effects = state.effects.filter((effect) => effect.expires > now);
+}
+
+// Light sources that move or flash: the muzzle, bullets in flight, impacts
+const MUZZLE_FLASH_MS = 60;
+const MUZZLE_FLASH_LIGHT = { radius: 4, intensity: 0.8 };
+const PROJECTILE_LIGHT = { radius: 1.5, intensity: 0.4 };
+const IMPACT_LIGHT = { radius: 2, intensity: 0.6 };
+
+/**
+ * Dynamic lights for this frame, ready for lighting.setDynamicLights().
+ *
+ * @param {Object} state - game state ({player, weapon, arsenal, projectiles,
+ *   effects})
+ * @param {number} now - current time in ms
+ */
+export function collectDynamicLights(state, now) {
+  const lightAt = ({ x, y }, light) => ({ x, y, ...light });
+  const { lastShot } = state.arsenal[state.weapon];
+  return [
+    ...(lastShot !== null && now - lastShot < MUZZLE_FLASH_MS
+      ? [lightAt(state.player, MUZZLE_FLASH_LIGHT)]
+      : []),
+    ...state.projectiles.map((p) => lightAt(p, PROJECTILE_LIGHT)),
+    ...state.effects.map((effect) => lightAt(effect, IMPACT_LIGHT)),
+  ];
+}
@@ -0,0 +1,98 @@
+// ──────────────────────────────────────────────────────────────────────────────
+// Seeded pseudo-random numbers (mulberry32). Same seed → same sequence, on
+// every browser and in Node.
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Hash any seed (string or number) to an unsigned 32-bit integer (FNV-1a).
+ *
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// One mulberry32 step: the stream's next state and the number it yields
+function mulberry32(state) {
+  const nextState = (state + 0x6d2b79f5) >>> 0;
+  let t = nextState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { state: nextState, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+}
+
+// The generator API over any place that stores a stream's 32-bit state
+function generator(read, write) {
+  const next = () => {
+    const step = mulberry32(read());
+    write(step.state);
+    return step.value;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability,
+  };
+}
+
+/**
+ * Create a seeded generator.
+ *
+ * @param {string|number} seed
+ * @returns {{
+ *   next: () => number,                     // [0, 1)
+ *   int: (min: number, max: number) => number, // inclusive range
+ *   pick: (items: any[]) => any,
+ *   chance: (probability: number) => boolean,
+ * }}
+ */
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return generator(
+    () => state,
+    (nextState) => {
+      state = nextState;
+    },
+  );
+}
+
+/**
+ * Independent named sub-streams of one seed, as plain numbers so they can
+ * live in game state (and be cloned, saved and restored with it). Drawing
+ * from one stream never shifts another.
+ *
+ * @param {string|number} seed
+ * @param {string[]} names
+ * @returns {Object<string, number>}
+ */
+export const createStreams = (seed, names) =>
+  Object.fromEntries(names.map((name) => [name, hashSeed(`${seed}/${name}`)]));
+
+/**
+ * A generator (same API as createRng) that draws from, and advances,
+ * `streams[name]` in place.
+ *
+ * @param {Object<string, number>} streams - from createStreams()
+ * @param {string} name
+ */
+export function streamRng(streams, name) {
+  if (!(name in streams)) throw new Error(`Unknown random stream "${name}"`);
+  return generator(
+    () => streams[name],
+    (nextState) => {
+      streams[name] = nextState;
+    },
+  );
+}
+
+/** A fresh random seed string, for runs that weren't given one. */
+export const randomSeed = () => Math.random().toString(36).slice(2, 10);
@@ -1,28 +1,231 @@
-import { castRay, MAP } from './map.js';
-import { GAME_CONFIG } from './utils.js';
+import { MAP } from './map.js';
+import { GAME_CONFIG, getWallMaterial, spriteCache, worldToScreen, horizonY } from './utils.js';
+import { castFloorAndCeiling, castWalls, hexToRgb } from './surfaces.js';
+import { lightValue } from './lighting.js';
+import { getDoors, KEY_COLORS, DOOR_TILE } from './doors.js';
+import { TICK_MS } from './clock.js';
+import { SCREENS } from './screens.js';
+import { WEAPONS, currentAmmo } from './weapons.js';
+import { enemiesRemaining, breakRemaining } from './director.js';
 
+// Dynamic resolution: average the frame cost over ~10 frames, then step the
+// scale when it leaves the [low, high] share of the frame budget
+const FRAME_COST_SMOOTHING = 0.1;
+const RESOLUTION_STEP = 0.05;
+const RESOLUTION_SETTLE_FRAMES = 30;
+const BUDGET_HIGH = 0.85;
+const BUDGET_LOW = 0.5;
+
+const FOG_RGB = hexToRgb(GAME_CONFIG.LIGHTING.FOG_COLOR);
+
+// Perpendicular wall distance per screen column, refilled by drawWalls
+let depthBuffer = new Float32Array(0);
+
+// Framebuffer drawWalls writes floor, ceiling and walls into
+let frame = null;
+// Raw RGBA of each wall texture, read back once
+const texelCache = new Map();
+
+// The 3D view is drawn into an offscreen canvas at `scale` times the screen
+// resolution and scaled up by presentScene
+const scene = {
+    canvas: null,
+    ctx: null,
+    scale: GAME_CONFIG.RENDER.RESOLUTION_SCALE,
+    dynamic: GAME_CONFIG.RENDER.DYNAMIC_RESOLUTION,
+    frameCost: 0,
+    framesSinceChange: 0
+};
+
+/**
+ * The offscreen canvas the 3D view is drawn into this frame, resized to the
+ * current internal resolution.
+ *
+ * @param {HTMLCanvasElement} canvas - the screen canvas
+ * @returns {{ctx: CanvasRenderingContext2D, canvas: HTMLCanvasElement}}
+ */
+export function getSceneView(canvas) {
+    if (!scene.canvas) {
+        scene.canvas = document.createElement('canvas');
+        scene.ctx = scene.canvas.getContext('2d');
+    }
+    const width = Math.max(1, Math.round(canvas.width * scene.scale));
+    const height = Math.max(1, Math.round(canvas.height * scene.scale));
+    if (scene.canvas.width !== width || scene.canvas.height !== height) {
+        scene.canvas.width = width;
+        scene.canvas.height = height;
+    }
+    return { ctx: scene.ctx, canvas: scene.canvas };
+}
+
+/** Scale the finished 3D view up onto the screen canvas. */
+export function presentScene(ctx, canvas) {
+    ctx.imageSmoothingEnabled = false;  // Keep low resolutions crisp
+    ctx.drawImage(scene.canvas, 0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Fix the internal resolution (fraction of the screen resolution), or hand
+ * it back to the dynamic-resolution controller.
+ */
+export function setResolutionScale(scale, { dynamic = false } = {}) {
+    const { MIN_SCALE, MAX_SCALE } = GAME_CONFIG.RENDER;
+    scene.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+    scene.dynamic = dynamic;
+}
+
+export const getResolutionScale = () => scene.scale;
+
+/**
+ * Dynamic resolution: lower the internal resolution when frames run over
+ * budget and raise it again when there is headroom.
+ *
+ * @param {number} frameCost - milliseconds spent on the last frame
+ * @param {number} budget - milliseconds available per frame
+ */
+export function adaptResolution(frameCost, budget) {
+    scene.frameCost += (frameCost - scene.frameCost) * FRAME_COST_SMOOTHING;
+    scene.framesSinceChange++;
+    if (!scene.dynamic || scene.framesSinceChange < RESOLUTION_SETTLE_FRAMES) return;
+
+    const { MIN_SCALE, MAX_SCALE } = GAME_CONFIG.RENDER;
+    let scale = scene.scale;
+    if (scene.frameCost > budget * BUDGET_HIGH) scale -= RESOLUTION_STEP;
+    else if (scene.frameCost < budget * BUDGET_LOW) scale += RESOLUTION_STEP;
+    scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, Math.round(scale * 100) / 100));
+
+    if (scale !== scene.scale) {
+        scene.scale = scale;
+        scene.framesSinceChange = 0;
+    }
+}
+
+function getTexels(texture) {
+    if (!texelCache.has(texture)) {
+        const { width, height } = texture;
+        const pixels = texture.getContext('2d').getImageData(0, 0, width, height).data;
+        texelCache.set(texture, { width, height, pixels });
+    }
+    return texelCache.get(texture);
+}
+
+// Flat-coloured materials as a 1x1 texture
+function getSolidTexels(color) {
+    if (!texelCache.has(color)) {
+        texelCache.set(color, { width: 1, height: 1, pixels: [...hexToRgb(color), 255] });
+    }
+    return texelCache.get(color);
+}
+
+/**
+ * Render floor, ceiling and walls into an ImageData framebuffer the size of
+ * `canvas` and put it on `ctx`; also refills the depth buffer. Pass the
+ * scene view from getSceneView to render at the internal resolution.
+ */
 export function drawWalls(ctx, player, canvas) {
-    // Basic sky rendering without expensive gradients
-    ctx.fillStyle = '#000033';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const { width, height } = canvas;
+    if (!frame || frame.width !== width || frame.height !== height) {
+        frame = ctx.createImageData(width, height);
+    }
+    const pixels = frame.data;
+    castFloorAndCeiling(pixels, width, height, player);
 
-    // Simplified floor
-    ctx.fillStyle = '#333333';
-    ctx.fillRect(0, canvas.height/2, canvas.width, canvas.height/2);
+    if (depthBuffer.length !== width) {
+        depthBuffer = new Float32Array(width);
+    }
+    castWalls(width, height, player, depthBuffer, ({ x, hit, material, wallTop, wallHeight, top, bottom, light, faceShade }) => {
+        const texture = material.texture && spriteCache[material.texture];
+        const texels = texture ? getTexels(texture) : getSolidTexels(material.color);
+        // One texel column at the hit's texture coordinate
+        const texelX = Math.min(texels.width - 1, Math.floor(hit.wallX * texels.width));
 
-    const numRays = canvas.width;
-    const rayStep = player.fov / numRays;
-    
-    for (let i = 0; i < numRays; i++) {
-        const rayAngle = player.angle - player.fov/2 + rayStep * i;
-      const distance = castRay(rayAngle, player.x, player.y, player.angle);
-        // Scale wall height by distance and FOV
-        const wallHeight = (canvas.height / distance) * (Math.cos(rayAngle - player.angle));
-        
-        // Solid dark red walls with no transparency
-        ctx.fillStyle = '#8B2500';  // Dark red walls
-        ctx.fillRect(i, (canvas.height-wallHeight)/2, 1, wallHeight);
+        const shade = light * faceShade;
+        const fogR = FOG_RGB[0] * (1 - light);
+        const fogG = FOG_RGB[1] * (1 - light);
+        const fogB = FOG_RGB[2] * (1 - light);
+        for (let y = top; y < bottom; y++) {
+            const texelY = Math.min(texels.height - 1,
+                Math.floor(((y + 0.5 - wallTop) / wallHeight) * texels.height));
+            const texel = (texelY * texels.width + texelX) * 4;
+            const offset = (y * width + x) * 4;
+            pixels[offset] = texels.pixels[texel] * shade + fogR;
+            pixels[offset + 1] = texels.pixels[texel + 1] * shade + fogG;
+            pixels[offset + 2] = texels.pixels[texel + 2] * shade + fogB;
+        }
+    });
+
+    ctx.putImageData(frame, 0, 0);
+}
+
+/**
+ * Draw a billboard clipped column by column against the depth buffer from
+ * the last drawWalls call, so walls in front cover exactly the columns they
+ * overlap.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} left - first screen column the billboard covers
+ * @param {number} right - column just past its right edge
+ * @param {number} depth - perpendicular distance from the camera
+ * @param {() => void} draw - draws the billboard unclipped
+ */
+export function drawDepthClipped(ctx, left, right, depth, draw) {
+    if (depth <= 0) return;  // Behind the camera
+    const start = Math.max(0, Math.floor(left));
+    const end = Math.min(depthBuffer.length, Math.ceil(right));
+
+    // One clip rect per run of columns where the billboard is nearer than the wall
+    ctx.save();
+    ctx.beginPath();
+    let visible = false;
+    for (let x = start; x < end; x++) {
+        if (depthBuffer[x] <= depth) continue;
+        const runStart = x;
+        while (x < end && depthBuffer[x] > depth) x++;
+        ctx.rect(runStart, 0, x - runStart, ctx.canvas.height);
+        visible = true;
+    }
+    if (visible) {
+        ctx.clip();
+        draw();
     }
+    ctx.restore();
+}
+
+/**
+ * Draw every world billboard (enemies, pickups, projectiles, effects) in one
+ * far-to-near pass. Each sprite is projected with worldToScreen, culled when
+ * it falls outside the view, clipped against the depth buffer, lit and handed
+ * to its own draw callback.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number, z?: number, radius?: number, emissive?: boolean,
+ *          draw: (ctx: CanvasRenderingContext2D, projection: Object) => void}[]} sprites
+ *   - z is the sprite centre's height above the floor; radius its half-width,
+ *   both in world units (radius defaults to 0.5). Emissive sprites ignore
+ *   scene light but still fade into fog.
+ * @param {Object} player - {x, y, angle}
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawWorldSprites(ctx, sprites, player, canvas) {
+    sprites
+        .map(sprite => ({
+            sprite,
+            projection: worldToScreen(sprite.x, sprite.y, player.x, player.y, player.angle, canvas,
+                                      { z: sprite.z, pitch: player.pitch })
+        }))
+        .filter(({ projection }) => projection.depth > 0)
+        .sort((a, b) => b.projection.depth - a.projection.depth)
+        .forEach(({ sprite, projection }) => {
+            const { screenX, size, depth } = projection;
+            const halfWidth = size * (sprite.radius ?? 0.5);
+            if (screenX + halfWidth < 0 || screenX - halfWidth > canvas.width) return;
+
+            const light = lightValue(sprite.x, sprite.y, depth, sprite.emissive);
+            drawDepthClipped(ctx, screenX - halfWidth, screenX + halfWidth, depth, () => {
+                if (light < 1) ctx.filter = `brightness(${light})`;
+                sprite.draw(ctx, projection);
+            });
+        });
 }
 
 export function drawHUD(ctx, state, canvas) {
@@ -32,20 +235,37 @@ export function drawHUD(ctx, state, canvas) {
     ctx.strokeStyle = '#ffffff';
     ctx.strokeRect(10, 10, 200, 20);
     
-    // Gun icon and bullet count in bottom right
+    // Gun icon, name and ammo (loaded / reserve) in bottom right
+    const ammo = currentAmmo(state);
     ctx.save();
-    ctx.fillStyle = '#666666';
-    ctx.fillRect(canvas.width - 60, canvas.height - 40, 40, 20);  // Gun body
-    ctx.fillRect(canvas.width - 50, canvas.height - 45, 20, 5);   // Gun barrel
+    drawGun(ctx, state.weapon, canvas.width - 80, canvas.height - 75, 1);
     ctx.fillStyle = '#ffffff';
     ctx.font = '16px monospace';
     ctx.textAlign = 'right';
-    ctx.fillText(`${state.bullets}/${state.maxBullets}`, canvas.width - 10, canvas.height - 10);
+    ctx.fillText(`${ammo.loaded}/${ammo.reserve}`, canvas.width - 10, canvas.height - 10);
+    ctx.font = '12px monospace';
+    ctx.fillText(state.reloadEndsAt !== null ? 'RELOADING' : WEAPONS[state.weapon].name, canvas.width - 10, canvas.height - 30);
+    ctx.restore();
+
+    // Held door keys under the health bar
+    state.inventory.keys.forEach((key, i) => {
+        ctx.fillStyle = KEY_COLORS[key] || '#ffffff';
+        ctx.fillRect(10 + i * 24, 36, 16, 10);
+    });
+
+    // Wave and how many enemies it has left, or the countdown to the next
+    const { wave } = state.director;
+    const nextWaveIn = Math.ceil(breakRemaining(state) / 1000);
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '16px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(nextWaveIn > 0 ? `WAVE ${wave + 1} IN ${nextWaveIn}s` : `WAVE ${wave}  ${enemiesRemaining(state)} LEFT`, 10, 66);
     ctx.restore();
     
     // Crosshair - perfectly centered with pixel-perfect alignment
     const centerX = Math.floor(ctx.canvas.width / 2) + 0.5;  // Add 0.5 for crisp lines
-    const centerY = Math.floor(ctx.canvas.height / 2) + 0.5;
+    const centerY = Math.floor(horizonY(ctx.canvas.height, state.player.pitch)) + 0.5;  // Follows pitch
     const size = 16;  // Slightly smaller for better precision
     
     ctx.strokeStyle = '#ffffff';
@@ -62,13 +282,205 @@ export function drawHUD(ctx, state, canvas) {
     ctx.stroke();
 }
 
-export function drawArms(ctx, player, canvas) {
+// Red arcs around the crosshair point to where recent hits came from:
+// straight up is ahead of the player, and they fade over DAMAGE_MARK_MS
+export const DAMAGE_MARK_MS = 1000;
+const DAMAGE_MARK_SPREAD = 0.35; // radians either side of the hit's direction
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{direction: number, time: number}[]} marks - from playerDamaged
+ *   events (direction: world angle towards the source)
+ * @param {Object} state - game state ({player, time})
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawDamageMarks(ctx, marks, state, canvas) {
+    const centerX = canvas.width / 2;
+    const centerY = horizonY(canvas.height, state.player.pitch);  // Rings the crosshair
+    const radius = Math.min(canvas.width, canvas.height) / 4;
+    ctx.save();
+    ctx.strokeStyle = '#ff0000';
+    ctx.lineWidth = 8;
+    marks.forEach(({ direction, time }) => {
+        const age = state.time - time;
+        if (age < 0 || age >= DAMAGE_MARK_MS) return;
+        // Canvas angles start at +x (screen right); ahead is up, -PI/2
+        const onScreen = direction - state.player.angle - Math.PI / 2;
+        ctx.globalAlpha = 1 - age / DAMAGE_MARK_MS;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, onScreen - DAMAGE_MARK_SPREAD, onScreen + DAMAGE_MARK_SPREAD);
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+const formatReplayTime = (ticks) => {
+    const seconds = Math.floor((ticks * TICK_MS) / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Replay transport overlay: progress bar, time, speed and the playback keys.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} playback - from replay.createPlayback()
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawReplayHUD(ctx, playback, canvas) {
+    const barWidth = canvas.width - 40;
+    const barY = canvas.height - 70;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(20, barY, barWidth, 6);
+    ctx.fillStyle = '#ff4400';
+    ctx.fillRect(20, barY, barWidth * (playback.tick / Math.max(1, playback.length)), 6);
+
+    const status = [
+        playback.paused ? '❚❚' : '▶',
+        `REPLAY ${formatReplayTime(playback.tick)} / ${formatReplayTime(playback.length)}`,
+        `${playback.speed}x`,
+        playback.camera ? 'free camera' : ''
+    ].filter(Boolean).join('  ');
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '16px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(status, 20, barY - 10);
+    ctx.font = '12px monospace';
+    ctx.fillText('space pause  ←/→ seek  [/] speed  c camera  esc exit', 20, barY + 22);
+    ctx.restore();
+}
+
+/**
+ * A short message across the top of the screen, e.g. "Saved to slot 2".
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawNotice(ctx, text, canvas) {
+    ctx.save();
+    ctx.font = '20px monospace';
+    ctx.textAlign = 'center';
+    const width = ctx.measureText(text).width + 24;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect((canvas.width - width) / 2, 20, width, 34);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, canvas.width / 2, 44);
+    ctx.restore();
+}
+
+// Headline and hint lines over the dimmed view, per screen (results has the
+// DOM popup instead)
+const SCREEN_OVERLAYS = {
+    [SCREENS.TITLE]: { title: 'CHUSSY INFERNO 3D', color: '#ff4400', hint: 'click or Enter to play' },
+    [SCREENS.PAUSED]: { title: 'PAUSED', color: '#ffffff', hint: 'click or Enter to resume  ·  Q to quit' },
+    [SCREENS.GAME_OVER]: { title: 'YOU DIED', color: '#ff0000', hint: '' },
+    [SCREENS.RESULTS]: { title: '', color: '#ffffff', hint: '' }
+};
+
+/**
+ * Dim the view and name the screen (title, paused, ...). Draws nothing
+ * while playing.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} screen - one of SCREENS
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawScreenOverlay(ctx, screen, canvas) {
+    const overlay = SCREEN_OVERLAYS[screen];
+    if (!overlay) return;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.textAlign = 'center';
+    ctx.shadowColor = overlay.color;
+    ctx.shadowBlur = 10;
+    ctx.fillStyle = overlay.color;
+    ctx.font = '48px monospace';
+    ctx.fillText(overlay.title, canvas.width / 2, canvas.height / 2);
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '18px monospace';
+    ctx.fillText(overlay.hint, canvas.width / 2, canvas.height / 2 + 40);
+    ctx.restore();
+}
+
+// Weapon silhouettes as [x, y, width, height, colour] blocks in a 65x26 box,
+// muzzle to the right; the HUD icon and the gun in hand share them
+const GUN_SHAPES = {
+    pistol: [[0, 5, 40, 20, '#666666'], [10, 0, 20, 5, '#666666']],
+    shotgun: [[0, 10, 20, 12, '#7A5230'], [15, 4, 50, 5, '#555555'], [15, 10, 50, 5, '#555555']],
+    rifle: [[0, 8, 15, 12, '#3A3A3A'], [12, 6, 30, 10, '#4A5A6A'], [40, 9, 25, 4, '#333333'], [25, 16, 6, 10, '#333333']],
+    launcher: [[0, 4, 65, 14, '#3C5A3C'], [20, 18, 8, 8, '#2A2A2A'], [58, 2, 7, 18, '#2A3A2A']]
+};
+const GUN_SHAPE_SIZE = { width: 65, height: 26 };
+const GUN_SCALE_IN_HAND = 3;
+const RECOIL_MS = 80;
+const RECOIL_KICK = 12; // pixels the gun jumps back by after a shot
+const RELOAD_DIP = 80; // pixels the gun drops by while reloading
+
+function drawGun(ctx, weapon, x, y, scale) {
+    GUN_SHAPES[weapon].forEach(([partX, partY, width, height, color]) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(x + partX * scale, y + partY * scale, width * scale, height * scale);
+    });
+}
+
+/**
+ * The player's arms and the equipped gun, which swings with walking, kicks
+ * when fired and dips while reloading.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} state - ({player, weapon, arsenal, reloadEndsAt, time})
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawArms(ctx, state, canvas) {
+    const { player } = state;
+    const swing = Math.sin(player.arms.swingOffset) * 20;
+    const { lastShot } = state.arsenal[state.weapon];
+    const recoil = lastShot !== null && state.time - lastShot < RECOIL_MS ? RECOIL_KICK : 0;
+    const dip = state.reloadEndsAt !== null ? RELOAD_DIP : 0;
+    // Muzzle up towards the crosshair, stock off the bottom of the screen
+    ctx.save();
+    ctx.translate(canvas.width / 2, canvas.height + GUN_SHAPE_SIZE.width * GUN_SCALE_IN_HAND / 4 + swing / 2 + recoil + dip);
+    ctx.rotate(-Math.PI / 2);
+    drawGun(ctx, state.weapon, 0, -GUN_SHAPE_SIZE.height * GUN_SCALE_IN_HAND / 2, GUN_SCALE_IN_HAND);
+    ctx.restore();
+
     const numRays = canvas.width;
     for (let i = 0; i < numRays; i++) {
         if (i === Math.floor(canvas.width * 0.3) || i === Math.floor(canvas.width * 0.7)) {
-            const armSwing = Math.sin(player.arms.swingOffset) * 20;
             ctx.fillStyle = '#8B4513';  // Brown color for arms
-            ctx.fillRect(i, canvas.height - 100 + armSwing, 10, 100);
+            ctx.fillRect(i, canvas.height - 100 + swing, 10, 100);
+        }
+    }
+}
+
+/**
+ * Top-down tile view shared by the minimap and the level editor.
+ *
+ * @param {CanvasRenderingContext2D} ctx - already translated to the map origin
+ * @param {number[][]} grid - tile ids
+ * @param {number} tileSize - pixels per tile
+ * @param {Object} [options]
+ * @param {number[][]} [options.floor] - also tint floor tiles by material
+ * @param {boolean} [options.drawDoors] - false to leave door tiles empty
+ */
+export function drawTopDown(ctx, grid, tileSize, { floor = null, drawDoors = true } = {}) {
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            const tile = grid[y][x];
+            if (tile === 0) {
+                const material = floor && floor[y][x] !== 0 && GAME_CONFIG.FLOOR_MATERIALS[floor[y][x]];
+                if (material) {
+                    ctx.fillStyle = material.colors[0];
+                    ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+                }
+            } else if (tile !== DOOR_TILE || drawDoors) {
+                // Walls coloured by material
+                ctx.fillStyle = getWallMaterial(tile).color;
+                ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+            }
         }
     }
 }
@@ -78,18 +490,26 @@ export function drawMinimap(minimapCtx, state, player) {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
     
-    const tileSize = ctx.canvas.width / MAP[0].length;
+    const tileSize = ctx.canvas.width / Math.max(MAP.length, MAP[0].length);
     
-    // Draw walls with consistent color
-    for (let y = 0; y < MAP.length; y++) {
-        for (let x = 0; x < MAP[y].length; x++) {
-            if (MAP[y][x] === 1) {
-                ctx.fillStyle = '#8B2500';  // Solid dark red walls
-                ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
-            }
-        }
-    }
+    drawTopDown(ctx, MAP, tileSize, { drawDoors: false });
     
+    // Doors fade out as they open
+    getDoors().forEach(door => {
+        ctx.save();
+        ctx.globalAlpha = 1 - door.openAmount * 0.8;
+        ctx.fillStyle = door.key ? KEY_COLORS[door.key] || '#B08A3C' : '#B08A3C';
+        ctx.fillRect(door.x * tileSize, door.y * tileSize, tileSize, tileSize);
+        ctx.restore();
+    });
+
+    // Dropped keys
+    state.collectibles.forEach(item => {
+        if (!item.keyId || item.collected) return;
+        ctx.fillStyle = KEY_COLORS[item.keyId] || '#ffffff';
+        ctx.fillRect(item.x * tileSize - tileSize / 4, item.y * tileSize - tileSize / 4, tileSize / 2, tileSize / 2);
+    });
+
     // Draw player
     ctx.fillStyle = '#ffffff';
     ctx.beginPath();
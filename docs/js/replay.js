@@ -0,0 +1,265 @@
+import { createGameState, createInput, step } from "./simulation.js";
+import { loadLevel } from "./level.js";
+import { generateLevel } from "./generator.js";
+import { GAME_CONFIG } from "./utils.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Replay format
+//
+// {
+//   "version": 1,
+//   "seed": "k3j9x0aa",                 (run seed, see createGameState)
+//   "level": { "id": "arena" },         (a file in levels/)
+//         | { "id": "...", "seed": "abc", "style": "rooms" }  (generated)
+//         | { "id": "...", "data": {...} }  (editor levels, embedded)
+//   "ticks": 1234,
+//   "input": [[count, flags, turn?, pitch?], ...]
+// }
+//
+// Input is one entry per run of identical ticks: `count` ticks with the
+// INPUT_FLAGS bits in `flags` (and above them the weapon number and cycle
+// direction) and the look deltas `turn` / `pitch` (radians, omitted when 0).
+// The simulation is deterministic given the seed, so this is everything
+// needed to play a run again, as long as the game rules don't change; bump
+// the version when they do.
+// ──────────────────────────────────────────────────────────────────────────────
+export const REPLAY_FORMAT_VERSION = 1;
+
+const INPUT_FLAGS = ["w", "s", "a", "d", "shoot", "use", "trigger", "reload"];
+const WEAPON_SHIFT = INPUT_FLAGS.length; // 3 bits: weapon number, 0 = none
+const CYCLE_SHIFT = WEAPON_SHIFT + 3; // 2 bits: 0, 1 = next, 2 = previous
+const CYCLES = [0, 1, -1];
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const FREE_CAMERA_SPEED = 0.08; // world units per tick; flies through walls
+const KEYFRAME_TICKS = 600; // states kept for seeking, one every 10 s of play
+
+const encodeInput = (input) => {
+  const flags =
+    INPUT_FLAGS.reduce(
+      (bits, key, i) => (input[key] ? bits | (1 << i) : bits),
+      0,
+    ) |
+    (input.weapon << WEAPON_SHIFT) |
+    (CYCLES.indexOf(input.cycle) << CYCLE_SHIFT);
+  if (input.pitch) return [flags, input.turn, input.pitch];
+  if (input.turn) return [flags, input.turn];
+  return [flags];
+};
+
+const decodeInput = ([flags, turn = 0, pitch = 0]) =>
+  createInput({
+    ...Object.fromEntries(
+      INPUT_FLAGS.map((key, i) => [key, (flags & (1 << i)) !== 0]),
+    ),
+    weapon: (flags >> WEAPON_SHIFT) & 0b111,
+    cycle: CYCLES[(flags >> CYCLE_SHIFT) & 0b11],
+    turn,
+    pitch,
+  });
+
+const sameEntry = (a, b) =>
+  a.length === b.length && a.every((value, i) => value === b[i]);
+
+/**
+ * Records the input of a run, tick by tick.
+ *
+ * @param {Object} options
+ * @param {string|number} options.seed - the run seed the state was created with
+ * @param {Object} options.level - how to get the level back (see format above)
+ * @param {Array[]} [options.input] - input recorded so far, to carry on a
+ *   replay (e.g. one saved in a snapshot)
+ * @returns {{record: (input: Object) => void, toReplay: () => Object}}
+ */
+export function createRecorder({ seed, level, input = [] }) {
+  const runs = input.map((run) => [...run]);
+  let ticks = runs.reduce((sum, [count]) => sum + count, 0);
+
+  return {
+    record(input) {
+      const entry = encodeInput(input);
+      const last = runs[runs.length - 1];
+      if (last && sameEntry(last.slice(1), entry)) last[0]++;
+      else runs.push([1, ...entry]);
+      ticks++;
+    },
+    toReplay: () => ({
+      version: REPLAY_FORMAT_VERSION,
+      seed,
+      level,
+      ticks,
+      input: runs.map((run) => [...run]),
+    }),
+  };
+}
+
+/**
+ * Check a parsed replay file.
+ *
+ * @param {Object} data - parsed replay JSON
+ * @returns {Object} the replay
+ * @throws {Error} listing every problem found
+ */
+export function validateReplay(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") {
+    throw new Error("Invalid replay: expected an object");
+  }
+
+  if (data.version !== REPLAY_FORMAT_VERSION) {
+    errors.push(
+      `unsupported version ${data.version} (expected ${REPLAY_FORMAT_VERSION})`,
+    );
+  }
+  if (!["string", "number"].includes(typeof data.seed)) {
+    errors.push("seed must be a string or number");
+  }
+  if (typeof data.level?.id !== "string") {
+    errors.push("level.id must be a string");
+  }
+  const input = Array.isArray(data.input) ? data.input : [];
+  if (!Array.isArray(data.input)) errors.push("input must be an array");
+  input.forEach((run, i) => {
+    const valid =
+      Array.isArray(run) &&
+      run.length >= 2 &&
+      run.length <= 4 &&
+      run.every((value) => Number.isFinite(value)) &&
+      Number.isInteger(run[0]) &&
+      run[0] > 0;
+    if (!valid)
+      errors.push(`input[${i}] must be [count, flags, turn?, pitch?]`);
+  });
+  const ticks = input.reduce((sum, run) => sum + (run?.[0] ?? 0), 0);
+  if (data.ticks !== ticks) {
+    errors.push(`ticks is ${data.ticks} but input covers ${ticks}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid replay:\n  ${errors.join("\n  ")}`);
+  }
+  return data;
+}
+
+/**
+ * The level a replay was recorded on, as level data for loadLevel().
+ *
+ * @param {Object} replay
+ * @param {(id: string) => Promise<Object>} fetchById - loads levels/<id>.json
+ * @returns {Promise<Object>}
+ */
+export async function replayLevelData({ level }, fetchById) {
+  if (level.data) return level.data;
+  if (level.seed !== undefined) {
+    return generateLevel({ seed: level.seed, style: level.style });
+  }
+  return fetchById(level.id);
+}
+
+/**
+ * Plays a replay back through step(), with pause, seek, speed and a free
+ * camera. Loads the replay's level on creation; backwards seeks start over
+ * from a fresh state on it.
+ *
+ * @param {Object} replay - validated replay
+ * @param {Object} levelData - from replayLevelData()
+ */
+export function createPlayback(replay, levelData) {
+  const inputs = replay.input.flatMap(([count, ...entry]) =>
+    Array(count).fill(decodeInput(entry)),
+  );
+  const playback = {
+    replay,
+    tick: 0,
+    length: inputs.length,
+    paused: false,
+    speed: 1,
+    state: null,
+    previousState: null,
+    camera: null, // free camera pose, or null to ride along with the player
+  };
+  let carry = 0; // fractional ticks owed at slow speeds
+  const level = loadLevel(levelData);
+  // States every KEYFRAME_TICKS ticks, filled in as they're played; step
+  // never changes a state, so they can be kept as they are
+  const keyframes = [createGameState(level, { seed: replay.seed })];
+
+  const jumpTo = (keyframe) => {
+    playback.state = keyframes[keyframe];
+    playback.previousState = playback.state;
+    playback.tick = keyframe * KEYFRAME_TICKS;
+  };
+
+  const stepOnce = () => {
+    playback.previousState = playback.state;
+    playback.state = step(playback.state, inputs[playback.tick]);
+    playback.tick++;
+    if (playback.tick % KEYFRAME_TICKS === 0) {
+      keyframes[playback.tick / KEYFRAME_TICKS] ??= playback.state;
+    }
+  };
+
+  /**
+   * Jump to a tick (clamped to the replay), re-simulating from the nearest
+   * keyframe at or before it.
+   */
+  playback.seek = (tick) => {
+    const target = Math.max(0, Math.min(playback.length, Math.round(tick)));
+    let keyframe = Math.floor(target / KEYFRAME_TICKS);
+    while (!keyframes[keyframe]) keyframe--;
+    if (target < playback.tick || keyframe * KEYFRAME_TICKS > playback.tick) {
+      jumpTo(keyframe);
+    }
+    while (playback.tick < target) stepOnce();
+    carry = 0;
+  };
+
+  /** Play `ticks` real ticks' worth of the replay at the current speed. */
+  playback.advance = (ticks) => {
+    if (playback.paused) return;
+    carry += ticks * playback.speed;
+    while (carry >= 1 && playback.tick < playback.length) {
+      stepOnce();
+      carry--;
+    }
+    if (playback.tick >= playback.length) playback.paused = true;
+  };
+
+  playback.togglePause = () => {
+    if (playback.paused && playback.tick >= playback.length) playback.seek(0);
+    playback.paused = !playback.paused;
+  };
+
+  /** Step to the next slower (-1) or faster (+1) playback speed. */
+  playback.changeSpeed = (direction) => {
+    const index = PLAYBACK_SPEEDS.indexOf(playback.speed) + direction;
+    playback.speed =
+      PLAYBACK_SPEEDS[Math.max(0, Math.min(PLAYBACK_SPEEDS.length - 1, index))];
+  };
+
+  playback.toggleFreeCamera = () => {
+    const { x, y, angle, pitch, fov } = playback.state.player;
+    playback.camera = playback.camera ? null : { x, y, angle, pitch, fov };
+  };
+
+  /** Fly the free camera one tick with an input frame (no collisions). */
+  playback.moveCamera = (input) => {
+    const camera = playback.camera;
+    if (!camera) return;
+    camera.angle += input.turn;
+    camera.pitch = Math.max(
+      -GAME_CONFIG.MAX_PITCH,
+      Math.min(GAME_CONFIG.MAX_PITCH, camera.pitch + input.pitch),
+    );
+    const forward = (input.w ? 1 : 0) - (input.s ? 1 : 0);
+    const right = (input.d ? 1 : 0) - (input.a ? 1 : 0);
+    camera.x +=
+      (Math.cos(camera.angle) * forward - Math.sin(camera.angle) * right) *
+      FREE_CAMERA_SPEED;
+    camera.y +=
+      (Math.sin(camera.angle) * forward + Math.cos(camera.angle) * right) *
+      FREE_CAMERA_SPEED;
+  };
+
+  jumpTo(0);
+  return playback;
+}
@@ -0,0 +1,60 @@
+// ──────────────────────────────────────────────────────────────────────────────
+// Which screen the game is on, and how it gets from one to the next.
+//
+//   title ──start──▶ playing ──pause──▶ paused ──resume──▶ playing
+//                       │                  └──quit──▶ title
+//                       └──die──▶ gameOver ──finish──▶ results
+//   results ──start──▶ playing      results ──quit──▶ title
+//
+// "start" begins a fresh run (or a replay, or a loaded snapshot) and is
+// allowed from every screen. Only "playing" steps the simulation.
+// ──────────────────────────────────────────────────────────────────────────────
+export const SCREENS = {
+  TITLE: "title",
+  PLAYING: "playing",
+  PAUSED: "paused",
+  GAME_OVER: "gameOver",
+  RESULTS: "results",
+};
+
+const TRANSITIONS = {
+  [SCREENS.TITLE]: { start: SCREENS.PLAYING },
+  [SCREENS.PLAYING]: {
+    start: SCREENS.PLAYING,
+    pause: SCREENS.PAUSED,
+    die: SCREENS.GAME_OVER,
+  },
+  [SCREENS.PAUSED]: {
+    start: SCREENS.PLAYING,
+    resume: SCREENS.PLAYING,
+    quit: SCREENS.TITLE,
+  },
+  [SCREENS.GAME_OVER]: { start: SCREENS.PLAYING, finish: SCREENS.RESULTS },
+  [SCREENS.RESULTS]: { start: SCREENS.PLAYING, quit: SCREENS.TITLE },
+};
+
+/**
+ * A screen state machine. Actions that don't apply to the current screen
+ * (e.g. "pause" on the title) are ignored, so input handlers can send them
+ * freely.
+ *
+ * @param {string} initial - one of SCREENS
+ * @param {(screen: string, previous: string, action: string) => void} onEnter
+ *   called after every transition
+ * @returns {{screen: string, send: (action: string) => boolean}}
+ *   send() says whether the action applied
+ */
+export function createScreenMachine(initial, onEnter) {
+  const machine = {
+    screen: initial,
+    send(action) {
+      const next = TRANSITIONS[machine.screen][action];
+      if (!next) return false;
+      const previous = machine.screen;
+      machine.screen = next;
+      onEnter(next, previous, action);
+      return true;
+    },
+  };
+  return machine;
+}
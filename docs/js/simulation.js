@@ -0,0 +1,265 @@
+import { GAME_CONFIG } from "./utils.js";
+import { createPlayer, updatePlayerMovement } from "./player.js";
+import {
+  WEAPONS,
+  createArsenal,
+  updateWeapons,
+  addAmmo,
+  hasAmmo,
+} from "./weapons.js";
+import { updateEnemies, enemyType, hearGunshot } from "./enemy.js";
+import {
+  updateCollectibles,
+  spawnLevelPickups,
+  spawnKey,
+} from "./collectibles.js";
+import { updateProjectiles, TEAMS } from "./projectiles.js";
+import {
+  createDoors,
+  setActiveDoors,
+  updateDoors,
+  useFacingTile,
+} from "./doors.js";
+import { createDirector, updateDirector } from "./director.js";
+import { TICK_MS } from "./clock.js";
+import { createStreams, streamRng, randomSeed } from "./random.js";
+import { createEventBus, emitEvent, GAME_EVENTS } from "./events.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Headless game simulation: step(state, input) → next state, with no DOM,
+// canvas or timers, so the browser, the terminal, bots and tests can all
+// drive the same rules.
+//
+// Every step is one TICK_MS of game time. `state.time` is the game clock:
+// cooldowns, lifetimes and animations read it, never the wall clock.
+// Likewise all gameplay randomness draws from the run's seeded streams in
+// `state.random`, so the same seed and inputs replay the same run.
+//
+// What happened in a tick is reported as events (events.js) in
+// `state.events`; the game's own rules about what those outcomes are worth
+// subscribe to them below, at the end of the tick.
+//
+// The game state is plain data (it survives structuredClone and JSON),
+// doors and switches included. The loaded level's layout (map.js) is shared
+// world state that loadLevel() swaps in; the state only refers to it. Each
+// step shows the map queries its own doors first (doors.setActiveDoors), so
+// stepping the same state twice gives the same result.
+// ──────────────────────────────────────────────────────────────────────────────
+const AUTOPLAY_IDLE_MS = 5000; // take over after this long without input
+const AUTOPLAY_MOVE_MS = 1000; // pick a new direction this often
+// Sub-streams of the run seed: enemy spawn points, drops and pickup rolls,
+// and the autoplay's wandering
+const RANDOM_STREAMS = ["spawn", "loot", "autoplay"];
+
+/**
+ * One tick of player input. Movement keys and `trigger` are held states;
+ * `turn` and `pitch` are look deltas in radians; `shoot` (the trigger being
+ * pulled), `use` and `reload` fire once. `weapon` picks a weapon by number
+ * (1-based, 0 for none) and `cycle` steps through them (-1, 0 or 1).
+ *
+ * @param {Object} [overrides]
+ * @returns {{w: boolean, s: boolean, a: boolean, d: boolean, turn: number,
+ *            pitch: number, shoot: boolean, trigger: boolean, use: boolean,
+ *            reload: boolean, weapon: number, cycle: number}}
+ */
+export const createInput = (overrides = {}) => ({
+  w: false,
+  s: false,
+  a: false,
+  d: false,
+  turn: 0,
+  pitch: 0,
+  shoot: false,
+  trigger: false,
+  use: false,
+  reload: false,
+  weapon: 0,
+  cycle: 0,
+  ...overrides,
+});
+
+const NO_INPUT = createInput();
+
+const CHEESE_SCORE = 100;
+const CHEESE_HEALING = 25;
+
+// Rewards and drops; front-ends subscribe to the same events for show
+const rules = createEventBus();
+
+rules.on(GAME_EVENTS.ENEMY_KILLED, ({ enemy, by }, state) => {
+  // The player's kills pay out, in score and rounds for whatever is in hand
+  if (by === TEAMS.PLAYER) {
+    const rounds = streamRng(state.random, "loot").int(
+      ...WEAPONS[state.weapon].drop,
+    );
+    addAmmo(state, state.weapon, rounds);
+    state.score += enemyType(enemy).score;
+  }
+  if (enemy.carriesKey) spawnKey(state, enemy.x, enemy.y, enemy.carriesKey);
+});
+
+// Gunfire gives the player away to every enemy in earshot
+rules.on(GAME_EVENTS.SHOT_FIRED, ({ time }, state) =>
+  hearGunshot(state, state.player.x, state.player.y, time),
+);
+
+rules.on(GAME_EVENTS.PICKUP_COLLECTED, ({ pickup }, state) => {
+  if (pickup.keyId) {
+    state.inventory.keys.push(pickup.keyId);
+    return;
+  }
+  const { player } = state;
+  state.score += CHEESE_SCORE;
+  player.health = Math.min(player.maxHealth, player.health + CHEESE_HEALING);
+});
+
+const hasActivity = (input) =>
+  input.w ||
+  input.s ||
+  input.a ||
+  input.d ||
+  input.turn !== 0 ||
+  input.pitch !== 0 ||
+  input.shoot ||
+  input.trigger ||
+  input.use ||
+  input.reload ||
+  input.weapon !== 0 ||
+  input.cycle !== 0;
+
+/**
+ * A fresh run on a loaded level: player at the start, the level's pickups
+ * placed, no enemies yet.
+ *
+ * @param {Object} level - as returned by loadLevel()
+ * @param {Object} [options]
+ * @param {number} [options.time] - game clock at the start of the run, in ms
+ * @param {string|number} [options.seed] - seeds all gameplay randomness
+ */
+export function createGameState(level, { time = 0, seed = randomSeed() } = {}) {
+  const state = {
+    time,
+    seed,
+    random: createStreams(seed, RANDOM_STREAMS),
+    nextId: 1, // for enemies and projectiles, so frames can be matched up
+    projectiles: [],
+    effects: [], // Hit flashes (see projectiles.js)
+    enemies: [],
+    collectibles: [],
+    score: 0,
+    gameOver: false,
+    events: [], // what happened in the last tick (events.js)
+    director: createDirector(level, time), // waves (see director.js)
+    ...createDoors(level), // doors, switches (see doors.js)
+    player: createPlayer(level.playerStart),
+    ...createArsenal(), // weapon, arsenal, reloadEndsAt (see weapons.js)
+    inventory: {
+      keys: [], // Door key ids picked up this run
+    },
+    autoplay: {
+      enabled: false,
+      lastActivity: time,
+      targetEnemy: null,
+      nextMoveTime: 0,
+      move: { w: false, s: false, a: false, d: false },
+    },
+  };
+  spawnLevelPickups(state, level);
+  return state;
+}
+
+const wrapAngle = (angle) =>
+  (((angle % (Math.PI * 2)) + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+
+// Any input hands control back to the player; after a while without any,
+// autoplay wanders about and shoots the nearest enemy
+function autoplayInput(state, input, now) {
+  const { autoplay, player } = state;
+  if (hasActivity(input)) {
+    autoplay.enabled = false;
+    autoplay.lastActivity = now;
+    return input;
+  }
+  if (!autoplay.enabled && now - autoplay.lastActivity > AUTOPLAY_IDLE_MS) {
+    autoplay.enabled = true;
+  }
+  if (!autoplay.enabled) return input;
+
+  const nearestEnemy = state.enemies.reduce(
+    (nearest, enemy) =>
+      !nearest ||
+      Math.hypot(enemy.x - player.x, enemy.y - player.y) <
+        Math.hypot(nearest.x - player.x, nearest.y - player.y)
+        ? enemy
+        : nearest,
+    null,
+  );
+  autoplay.targetEnemy = nearestEnemy;
+
+  if (now > autoplay.nextMoveTime) {
+    autoplay.nextMoveTime = now + AUTOPLAY_MOVE_MS;
+    const rng = streamRng(state.random, "autoplay");
+    const forward = rng.chance(0.5);
+    const left = rng.chance(0.5);
+    autoplay.move = { w: forward, s: !forward, a: left, d: !left };
+  }
+
+  const aim = nearestEnemy
+    ? wrapAngle(
+        Math.atan2(nearestEnemy.y - player.y, nearestEnemy.x - player.x) -
+          player.angle,
+      )
+    : 0;
+  return createInput({
+    ...autoplay.move,
+    turn: aim,
+    shoot: Boolean(nearestEnemy) && hasAmmo(state),
+    trigger: Boolean(nearestEnemy) && hasAmmo(state),
+  });
+}
+
+/**
+ * Advance the game one tick (TICK_MS of game time). `state` is left
+ * untouched; the returned state is a new object, and its doors are the
+ * active ones afterwards.
+ *
+ * @param {Object} state - from createGameState() or a previous step()
+ * @param {Object} [input] - from createInput()
+ * @returns {Object} the next state
+ */
+export function step(state, input = NO_INPUT) {
+  const next = structuredClone(state);
+  next.events = [];
+  setActiveDoors(next.doors);
+  if (next.gameOver) return next;
+
+  next.time += TICK_MS;
+  const now = next.time;
+
+  const { player } = next;
+  const frame = autoplayInput(next, input, now);
+
+  player.angle = (player.angle + frame.turn + Math.PI * 2) % (Math.PI * 2);
+  player.pitch = Math.max(
+    -GAME_CONFIG.MAX_PITCH,
+    Math.min(GAME_CONFIG.MAX_PITCH, player.pitch + frame.pitch),
+  );
+
+  updateProjectiles(next, now);
+  updatePlayerMovement(player, frame);
+  if (frame.use) useFacingTile(next, player, now);
+  updateDoors(next, player, now);
+  updateEnemies(next, player, now);
+  updateCollectibles(next, player, now);
+  updateWeapons(next, frame, now);
+
+  updateDirector(next, now);
+
+  rules.dispatch(next.events, next);
+
+  if (player.health <= 0) {
+    next.gameOver = true;
+    emitEvent(next, GAME_EVENTS.PLAYER_DIED, { score: next.score });
+  }
+  return next;
+}
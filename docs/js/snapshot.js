@@ -0,0 +1,143 @@
+import { loadLevel } from "./level.js";
+import { validateReplay } from "./replay.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Snapshot format: a whole run frozen mid-game, to carry on later.
+//
+// {
+//   "version": 7,
+//   "savedAt": "2024-05-01T12:00:00.000Z",
+//   "level": { "id": "arena" },   (same forms as a replay's level)
+//   "state": {...},               (the game state exactly as step() left it:
+//                                  player, enemies and their paths,
+//                                  projectiles, pickups, doors and
+//                                  switches, score, weapons and ammo,
+//                                  waves, autoplay, random streams)
+//   "replay": {...}               (the run's input so far; optional)
+// }
+//
+// Snapshots live in localStorage slots or in downloaded .json files.
+// ──────────────────────────────────────────────────────────────────────────────
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+export const SNAPSHOT_SLOTS = ["1", "2", "3"];
+export const AUTOSAVE_SLOT = "autosave";
+const STORAGE_PREFIX = "chussy.snapshot.";
+
+// The state fields a snapshot can't do without
+const REQUIRED_STATE = [
+  "time",
+  "random",
+  "player",
+  "enemies",
+  "projectiles",
+  "collectibles",
+  "inventory",
+  "doors",
+  "switches",
+  "arsenal",
+  "director",
+  "autoplay",
+];
+
+/**
+ * Freeze a run.
+ *
+ * @param {Object} state - current game state
+ * @param {Object} level - where the level came from (as in a replay)
+ * @param {Object} [replay] - the run's input so far, from the recorder
+ * @returns {Object} plain data, ready for JSON
+ */
+export const createSnapshot = (state, level, replay) => ({
+  version: SNAPSHOT_FORMAT_VERSION,
+  savedAt: new Date().toISOString(),
+  level,
+  state: structuredClone(state),
+  ...(replay ? { replay } : {}),
+});
+
+/**
+ * Check a parsed snapshot.
+ *
+ * @param {Object} data - parsed snapshot JSON
+ * @returns {Object} the snapshot
+ * @throws {Error} listing every problem found
+ */
+export function validateSnapshot(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") {
+    throw new Error("Invalid snapshot: expected an object");
+  }
+
+  if (data.version !== SNAPSHOT_FORMAT_VERSION) {
+    errors.push(
+      `unsupported version ${data.version} (expected ${SNAPSHOT_FORMAT_VERSION})`,
+    );
+  }
+  if (typeof data.level?.id !== "string") {
+    errors.push("level.id must be a string");
+  }
+  const missing = REQUIRED_STATE.filter(
+    (key) => data.state?.[key] === undefined,
+  );
+  if (missing.length > 0) {
+    errors.push(`state is missing ${missing.join(", ")}`);
+  }
+  if (data.replay) {
+    try {
+      validateReplay(data.replay);
+    } catch (error) {
+      errors.push(error.message.replace(/\n {2}/g, "\n    "));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid snapshot:\n  ${errors.join("\n  ")}`);
+  }
+  return data;
+}
+
+/**
+ * Load a snapshot's level and hand back its game state, doors and all.
+ *
+ * @param {Object} snapshot - validated snapshot
+ * @param {Object} levelData - from replayLevelData(snapshot, ...)
+ * @returns {Object} the game state, ready for step()
+ */
+export function restoreSnapshot(snapshot, levelData) {
+  loadLevel(levelData);
+  return structuredClone(snapshot.state);
+}
+
+/**
+ * Keep a snapshot in a localStorage slot, replacing what was there.
+ *
+ * @param {string} slot - one of SNAPSHOT_SLOTS, or AUTOSAVE_SLOT
+ * @param {Object} snapshot
+ * @param {Storage} [storage]
+ */
+export function saveToSlot(slot, snapshot, storage = localStorage) {
+  storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(snapshot));
+}
+
+/**
+ * The snapshot in a slot, or null if the slot is empty.
+ *
+ * @param {string} slot
+ * @param {Storage} [storage]
+ * @throws {Error} if the slot holds something that isn't a valid snapshot
+ */
+export function loadFromSlot(slot, storage = localStorage) {
+  const saved = storage.getItem(STORAGE_PREFIX + slot);
+  return saved === null ? null : validateSnapshot(JSON.parse(saved));
+}
+
+/**
+ * Empty a slot.
+ *
+ * @param {string} slot
+ * @param {Storage} [storage]
+ */
+export function clearSlot(slot, storage = localStorage) {
+  storage.removeItem(STORAGE_PREFIX + slot);
+}
@@ -0,0 +1,200 @@
+import { floorAt, ceilingAt, castRay, WALL_SIDE } from "./map.js";
+import { GAME_CONFIG, getWallMaterial, horizonY } from "./utils.js";
+import { lightValue } from "./lighting.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Floor & ceiling casting into a raw RGBA buffer, and wall column casting.
+const SURFACE_TEXTURE_SIZE = 16; // texels per tile edge
+const SEAM_SHADE = 0.7; // darken tile seams for depth cues
+const LIGHT_SPAN = 8; // pixels between lighting samples along a row
+const SIDE_SHADE = 0.65; // darken east/west faces so corners read clearly
+const WALL_LIGHT_OFFSET = 0.05; // walls take their light this far in front
+// ──────────────────────────────────────────────────────────────────────────────
+
+/** "#rrggbb" → [r, g, b] */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+};
+
+const FOG_RGB = hexToRgb(GAME_CONFIG.LIGHTING.FOG_COLOR);
+
+// Pattern functions: texture coords in [0, 1) → palette index
+const PATTERNS = {
+  checker: (u, v) => (Math.floor(u * 4) + Math.floor(v * 4)) % 2,
+  stripes: (u, v) => Math.floor((u + v) * 4) % 2,
+  ring: (u, v) => {
+    const radius = Math.hypot(u - 0.5, v - 0.5);
+    return radius > 0.22 && radius < 0.36 ? 1 : 0;
+  },
+  grid: (u, v) => ((u * 4) % 1 < 0.25 || (v * 4) % 1 < 0.25 ? 1 : 0),
+};
+
+/**
+ * Bake a procedural surface material into a square RGBA texture.
+ *
+ * @param {{pattern: string, colors: string[]}} material
+ * @returns {{size: number, pixels: Uint8ClampedArray}}
+ */
+export function bakeSurfaceTexture(material) {
+  const size = SURFACE_TEXTURE_SIZE;
+  const pixels = new Uint8ClampedArray(size * size * 4);
+  const palette = material.colors.map(hexToRgb);
+  const pattern = PATTERNS[material.pattern] ?? PATTERNS.checker;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const [r, g, b] = palette[pattern((x + 0.5) / size, (y + 0.5) / size)];
+      const shade = x === 0 || y === 0 ? SEAM_SHADE : 1;
+      const offset = (y * size + x) * 4;
+      pixels[offset] = r * shade;
+      pixels[offset + 1] = g * shade;
+      pixels[offset + 2] = b * shade;
+      pixels[offset + 3] = 255;
+    }
+  }
+  return { size, pixels };
+}
+
+const bakedTextures = new Map();
+const textureFor = (materials, id) => {
+  const material = materials[id] ?? materials[0];
+  if (!bakedTextures.has(material)) {
+    bakedTextures.set(material, bakeSurfaceTexture(material));
+  }
+  return bakedTextures.get(material);
+};
+
+/**
+ * Perspective-cast the floor (below the horizon) and ceiling (above it) into
+ * an RGBA buffer. Uses the same projection as castWalls: a wall at
+ * perpendicular distance d is `height / d` pixels tall, with the eye height
+ * on the (pitch-shifted) horizon. Lit and fogged by lighting.js.
+ *
+ * @param {Uint8ClampedArray} pixels - row-major RGBA, width * height * 4
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} player - {x, y, angle, fov, pitch}
+ */
+export function castFloorAndCeiling(pixels, width, height, player) {
+  const horizon = horizonY(height, player.pitch);
+  // Camera height above the floor / below the ceiling, in pixels at distance 1
+  const floorDrop = GAME_CONFIG.EYE_HEIGHT * height;
+  const ceilingRise = (1 - GAME_CONFIG.EYE_HEIGHT) * height;
+
+  // Directions through the left and right screen edges, scaled so that
+  // stepping `rowDistance` along them lands on the perpendicular distance
+  const halfFov = player.fov / 2;
+  const edgeScale = 1 / Math.cos(halfFov);
+  const leftDirX = Math.cos(player.angle - halfFov) * edgeScale;
+  const leftDirY = Math.sin(player.angle - halfFov) * edgeScale;
+  const rightDirX = Math.cos(player.angle + halfFov) * edgeScale;
+  const rightDirY = Math.sin(player.angle + halfFov) * edgeScale;
+
+  for (let y = 0; y < height; y++) {
+    const rowOffset = y + 0.5 - horizon;
+    const isFloor = rowOffset > 0;
+    const rowDistance =
+      (isFloor ? floorDrop : ceilingRise) / Math.abs(rowOffset);
+    const materials = isFloor
+      ? GAME_CONFIG.FLOOR_MATERIALS
+      : GAME_CONFIG.CEILING_MATERIALS;
+    const materialAt = isFloor ? floorAt : ceilingAt;
+
+    // World position under the first pixel of the row, and per-pixel step
+    const stepX = (rowDistance * (rightDirX - leftDirX)) / width;
+    const stepY = (rowDistance * (rightDirY - leftDirY)) / width;
+    let worldX = player.x + rowDistance * leftDirX + stepX * 0.5;
+    let worldY = player.y + rowDistance * leftDirY + stepY * 0.5;
+
+    // Light is sampled every LIGHT_SPAN pixels and interpolated between
+    let light = lightValue(worldX, worldY, rowDistance);
+    let lightStep = 0;
+
+    let offset = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      if (x % LIGHT_SPAN === 0) {
+        const spanEndLight = lightValue(
+          worldX + stepX * LIGHT_SPAN,
+          worldY + stepY * LIGHT_SPAN,
+          rowDistance,
+        );
+        lightStep = (spanEndLight - light) / LIGHT_SPAN;
+      }
+      const texture = textureFor(materials, materialAt(worldX, worldY));
+      const texelX = Math.floor((worldX - Math.floor(worldX)) * texture.size);
+      const texelY = Math.floor((worldY - Math.floor(worldY)) * texture.size);
+      const texel = (texelY * texture.size + texelX) * 4;
+
+      // Blend towards the fog colour as light fades
+      const fog = 1 - light;
+      pixels[offset] = texture.pixels[texel] * light + FOG_RGB[0] * fog;
+      pixels[offset + 1] = texture.pixels[texel + 1] * light + FOG_RGB[1] * fog;
+      pixels[offset + 2] = texture.pixels[texel + 2] * light + FOG_RGB[2] * fog;
+      pixels[offset + 3] = 255;
+
+      offset += 4;
+      light += lightStep;
+      worldX += stepX;
+      worldY += stepY;
+    }
+  }
+}
+
+/**
+ * Raycast one wall column per screen column and work out where it lands on
+ * screen and how it is lit; `drawColumn` fills in the pixels. Columns are
+ * evenly spaced across the camera plane (not in angle), the same projection
+ * worldToScreen uses for sprites.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} player - {x, y, angle, fov, pitch}
+ * @param {Float32Array} depth - refilled with the perpendicular wall
+ *   distance of each column
+ * @param {(column: {
+ *   x: number,          // screen column
+ *   hit: Object,        // castRay result
+ *   material: Object,   // wall material of the hit tile
+ *   wallTop: number, wallHeight: number, // unclipped, in pixels
+ *   top: number, bottom: number,         // rows to fill, [top, bottom)
+ *   light: number,      // lightValue of the face, 0 (fogged) to 1
+ *   faceShade: number,  // SIDE_SHADE on east/west faces, else 1
+ * }) => void} drawColumn
+ */
+export function castWalls(width, height, player, depth, drawColumn) {
+  const planeHalfWidth = Math.tan(player.fov / 2);
+  const horizon = horizonY(height, player.pitch);
+
+  for (let x = 0; x < width; x++) {
+    const cameraX = (2 * (x + 0.5)) / width - 1;
+    const rayAngle = player.angle + Math.atan(cameraX * planeHalfWidth);
+    const hit = castRay(rayAngle, player.x, player.y, player.angle);
+    depth[x] = hit.distance;
+    // Perpendicular distance is already fisheye-corrected
+    const wallHeight = height / hit.distance;
+    const wallTop = horizon - (1 - GAME_CONFIG.EYE_HEIGHT) * wallHeight;
+
+    // Light the face from just in front of it, then fade into fog
+    const material = getWallMaterial(hit.tile);
+    const light = lightValue(
+      hit.hitX - Math.cos(rayAngle) * WALL_LIGHT_OFFSET,
+      hit.hitY - Math.sin(rayAngle) * WALL_LIGHT_OFFSET,
+      hit.distance,
+      Boolean(material.light),
+    );
+    const isSide = hit.side === WALL_SIDE.EAST || hit.side === WALL_SIDE.WEST;
+
+    drawColumn({
+      x,
+      hit,
+      material,
+      wallTop,
+      wallHeight,
+      top: Math.max(0, Math.ceil(wallTop - 0.5)),
+      bottom: Math.min(height, Math.ceil(wallTop + wallHeight - 0.5)),
+      light,
+      faceShade: isSide ? SIDE_SHADE : 1,
+    });
+  }
+}
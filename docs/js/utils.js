@@ -3,9 +3,9 @@ export const GAME_CONFIG = {
     MAP_SIZE: { width: 32, height: 32 },
     TILE_SIZE: 32,
     PLAYER_SPEED: 0.0035,  // *WHIRR* PRECISE MOVEMENT ENGAGED! 🤖
-    ENEMY_SPEED: 2,
-    SPAWN_INTERVAL: 2000,
     FOV: Math.PI / 3,
+    EYE_HEIGHT: 0.5,  // Camera height; walls run from 0 (floor) to 1 (ceiling)
+    MAX_PITCH: 0.4,  // Radians of vertical mouse look either way
     PATHFINDING: {
         MAX_PATH_LENGTH: 100,
         DIAGONAL_COST: 1.4,
@@ -30,34 +30,114 @@ export const GAME_CONFIG = {
             ENEMY_7: { src: 'resources/sprites/anime_girls.png', x: 192, y: 0, width: 32, height: 32 },
             ENEMY_8: { src: 'resources/sprites/anime_girls.png', x: 224, y: 0, width: 32, height: 32 }
         },
+        // Wall textures live side by side in one 64px-high atlas (generated at runtime)
+        WALLS: {
+            WALL_2: { src: 'WALL_ATLAS', x: 0, y: 0, width: 64, height: 64 },
+            WALL_3: { src: 'WALL_ATLAS', x: 64, y: 0, width: 64, height: 64 },
+            WALL_4: { src: 'WALL_ATLAS', x: 128, y: 0, width: 64, height: 64 },
+            WALL_5: { src: 'WALL_ATLAS', x: 192, y: 0, width: 64, height: 64 },
+            WALL_10: { src: 'WALL_ATLAS', x: 256, y: 0, width: 64, height: 64 },
+            WALL_11: { src: 'WALL_ATLAS', x: 320, y: 0, width: 64, height: 64 },
+            WALL_6: { src: 'WALL_ATLAS', x: 384, y: 0, width: 64, height: 64 }
+        },
         BULLET: { src: 'resources/sprites/ships_packed.png', x: 192, y: 0, width: 16, height: 16, color: 'yellow' },
         TARGET: { src: 'resources/sprites/ships_packed.png', x: 224, y: 0, width: 32, height: 32 }
+    },
+    // Wall materials by map tile id. Tile 1 is the classic solid wall;
+    // higher ids sample a texture from SPRITES.WALLS. Materials with a
+    // `light` glow and light the tiles around them (see lighting.js).
+    WALL_MATERIALS: {
+        1: { name: 'plain', color: '#8B2500' },
+        2: { name: 'brick', texture: 'WALL_2', color: '#A0401E' },
+        3: { name: 'stone', texture: 'WALL_3', color: '#6E6E6E' },
+        4: { name: 'metal', texture: 'WALL_4', color: '#4A5A6A' },
+        5: { name: 'wood', texture: 'WALL_5', color: '#7A5230' },
+        6: { name: 'lamp', texture: 'WALL_6', color: '#E8D8A0', light: { radius: 5, intensity: 0.9 } },
+        10: { name: 'door', texture: 'WALL_10', color: '#B08A3C' },
+        11: { name: 'switch', texture: 'WALL_11', color: '#3C7A3C' }
+    },
+    // Floor / ceiling materials by the level's per-tile surface ids.
+    // Each is a two-colour procedural pattern baked into a small texture.
+    FLOOR_MATERIALS: {
+        0: { name: 'concrete', pattern: 'checker', colors: ['#3A3A3A', '#323232'] },
+        1: { name: 'hazard', pattern: 'stripes', colors: ['#C8A000', '#1E1E1E'] },
+        2: { name: 'spawnPad', pattern: 'ring', colors: ['#1E3C5A', '#3C8CDC'] },
+        3: { name: 'grate', pattern: 'grid', colors: ['#2A2A2A', '#555555'] }
+    },
+    CEILING_MATERIALS: {
+        0: { name: 'night', pattern: 'checker', colors: ['#000033', '#00002A'] },
+        1: { name: 'panels', pattern: 'grid', colors: ['#26262E', '#3A3A46'] }
+    },
+    // The 3D view renders at RESOLUTION_SCALE times the screen resolution;
+    // with DYNAMIC_RESOLUTION the scale follows the frame budget
+    RENDER: {
+        RESOLUTION_SCALE: 0.5,
+        DYNAMIC_RESOLUTION: true,
+        MIN_SCALE: 0.2,
+        MAX_SCALE: 1
+    },
+    // Shared by walls, floor/ceiling and sprites (see lighting.js)
+    LIGHTING: {
+        AMBIENT: 0.15,  // Light everywhere, before lamps and flashes
+        FOG_DENSITY: 0.12,  // Per world unit; visibility = exp(-density * distance)
+        FOG_COLOR: '#06060C'
     }
 };
 
+export function getWallMaterial(tile) {
+    return GAME_CONFIG.WALL_MATERIALS[tile] || GAME_CONFIG.WALL_MATERIALS[1];
+}
+
 export function calculateDistance(x1, y1, x2, y2) {
     const dx = x2 - x1;
     const dy = y2 - y1;
     return Math.sqrt(dx * dx + dy * dy);
 }
 
-export function worldToScreen(x, y, playerX, playerY, playerAngle, canvas) {
+/**
+ * Screen row of the horizon: mid-screen, shifted by camera pitch. The
+ * vertical scale is the screen height (a wall one unit tall at distance 1
+ * fills it), so a pitch angle moves the horizon by tan(pitch) heights.
+ */
+export function horizonY(height, pitch = 0) {
+    return height / 2 + Math.tan(pitch) * height;
+}
+
+/**
+ * Project a world point onto the camera plane. Uses the same plane as the
+ * wall columns in drawWalls, so sprites and walls agree on screen position
+ * and depth.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} playerX
+ * @param {number} playerY
+ * @param {number} playerAngle
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options]
+ * @param {number} [options.z] - height above the floor (default eye height)
+ * @param {number} [options.pitch] - camera pitch in radians
+ * @returns {{screenX: number, screenY: number, size: number,
+ *            distance: number, depth: number}} size is the on-screen
+ *   length of one world unit at that depth
+ */
+export function worldToScreen(x, y, playerX, playerY, playerAngle, canvas,
+                              { z = GAME_CONFIG.EYE_HEIGHT, pitch = 0 } = {}) {
     const dx = x - playerX;
     const dy = y - playerY;
     const distance = Math.sqrt(dx * dx + dy * dy);
     
-    // Calculate angle in world space
-    const angle = Math.atan2(dy, dx);
-    // Calculate relative angle for screen position only
-    const relativeAngle = ((angle - playerAngle + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+    // Perpendicular distance along the view direction, and offset along the
+    // camera plane (positive = right of centre)
+    const depth = dx * Math.cos(playerAngle) + dy * Math.sin(playerAngle);
+    const lateral = -dx * Math.sin(playerAngle) + dy * Math.cos(playerAngle);
     
-    const fov = GAME_CONFIG.FOV;
-    // Project onto screen space while preserving world position
-    const screenX = ((relativeAngle / fov) + 1) * canvas.width / 2;
-    const screenY = canvas.height / 2;
-    const size = (canvas.height / distance) * (Math.cos(relativeAngle) * 0.8);
+    const planeHalfWidth = Math.tan(GAME_CONFIG.FOV / 2);
+    const screenX = (1 + lateral / (depth * planeHalfWidth)) * canvas.width / 2;
+    const size = canvas.height / depth;
+    const screenY = horizonY(canvas.height, pitch) + (GAME_CONFIG.EYE_HEIGHT - z) * size;
     
-    return { screenX, screenY, size, distance };
+    return { screenX, screenY, size, distance, depth };
 }
 
 export const spriteCache = {};
@@ -97,11 +177,122 @@ function generateAnimeSprite(index) {
     return canvas;
 }
 
+// Paint one 64x64 texture per wall material into a single atlas canvas
+function generateWallAtlas() {
+    const walls = GAME_CONFIG.SPRITES.WALLS;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(...Object.values(walls).map(w => w.x + w.width));
+    canvas.height = Math.max(...Object.values(walls).map(w => w.y + w.height));
+    const ctx = canvas.getContext('2d');
+
+    const noise = (x, y, w, h, alpha) => {
+        for (let i = 0; i < (w * h) / 8; i++) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${Math.random() * alpha})`;
+            ctx.fillRect(x + Math.random() * (w - 2), y + Math.random() * (h - 2), 2, 2);
+        }
+    };
+
+    // Brick: staggered courses with mortar lines (clipped, rows overhang)
+    const brick = walls.WALL_2;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(brick.x, brick.y, 64, 64);
+    ctx.clip();
+    ctx.fillStyle = '#5A4A42';
+    ctx.fillRect(brick.x, brick.y, 64, 64);
+    for (let row = 0; row < 8; row++) {
+        const offset = row % 2 ? 8 : 0;
+        for (let col = -1; col < 4; col++) {
+            ctx.fillStyle = row % 3 ? '#A0401E' : '#8E3A1C';
+            ctx.fillRect(brick.x + col * 16 + offset + 1, brick.y + row * 8 + 1, 14, 6);
+        }
+    }
+    ctx.restore();
+    noise(brick.x, brick.y, 64, 64, 0.25);
+
+    // Stone: large irregular blocks
+    const stone = walls.WALL_3;
+    ctx.fillStyle = '#4A4A4A';
+    ctx.fillRect(stone.x, stone.y, 64, 64);
+    [[0, 0, 30, 20], [31, 0, 33, 26], [0, 21, 22, 22], [23, 27, 41, 16],
+     [0, 44, 36, 20], [37, 44, 27, 20], [23, 21, 7, 5]].forEach(([x, y, w, h], i) => {
+        ctx.fillStyle = ['#7A7A7A', '#6E6E6E', '#828282'][i % 3];
+        ctx.fillRect(stone.x + x + 1, stone.y + y + 1, w - 2, h - 2);
+    });
+    noise(stone.x, stone.y, 64, 64, 0.3);
+
+    // Metal: panels with rivets
+    const metal = walls.WALL_4;
+    ctx.fillStyle = '#4A5A6A';
+    ctx.fillRect(metal.x, metal.y, 64, 64);
+    ctx.fillStyle = '#2E3A46';
+    ctx.fillRect(metal.x, metal.y + 31, 64, 2);
+    ctx.fillRect(metal.x + 31, metal.y, 2, 64);
+    ctx.fillStyle = '#9AAABA';
+    [4, 27, 37, 60].forEach(x => [4, 27, 37, 60].forEach(y => {
+        ctx.fillRect(metal.x + x - 1, metal.y + y - 1, 2, 2);
+    }));
+
+    // Wood: vertical planks with grain
+    const wood = walls.WALL_5;
+    for (let plank = 0; plank < 4; plank++) {
+        ctx.fillStyle = plank % 2 ? '#7A5230' : '#6A4526';
+        ctx.fillRect(wood.x + plank * 16, wood.y, 16, 64);
+        ctx.fillStyle = '#3E2A16';
+        ctx.fillRect(wood.x + plank * 16, wood.y, 1, 64);
+    }
+    noise(wood.x, wood.y, 64, 64, 0.2);
+
+    // Door: riveted panel with a hazard stripe
+    const door = walls.WALL_10;
+    ctx.fillStyle = '#8A6A2C';
+    ctx.fillRect(door.x, door.y, 64, 64);
+    ctx.fillStyle = '#B08A3C';
+    ctx.fillRect(door.x + 4, door.y + 4, 56, 56);
+    for (let stripe = 0; stripe < 8; stripe++) {
+        ctx.fillStyle = stripe % 2 ? '#1E1E1E' : '#E0B000';
+        ctx.fillRect(door.x + 4 + stripe * 7, door.y + 28, 7, 8);
+    }
+
+    // Switch: stone panel with a lever box
+    const lever = walls.WALL_11;
+    ctx.drawImage(canvas, stone.x, stone.y, 64, 64, lever.x, lever.y, 64, 64);
+    ctx.fillStyle = '#2A2A2A';
+    ctx.fillRect(lever.x + 22, lever.y + 18, 20, 28);
+    ctx.fillStyle = '#3CC83C';
+    ctx.fillRect(lever.x + 30, lever.y + 22, 4, 14);
+
+    // Lamp: glowing panel in a metal frame
+    const lamp = walls.WALL_6;
+    ctx.drawImage(canvas, metal.x, metal.y, 64, 64, lamp.x, lamp.y, 64, 64);
+    ctx.fillStyle = '#F8ECC0';
+    ctx.fillRect(lamp.x + 12, lamp.y + 12, 40, 40);
+    ctx.fillStyle = '#FFFFF0';
+    ctx.fillRect(lamp.x + 20, lamp.y + 20, 24, 24);
+
+    return canvas;
+}
+
 export async function loadSprite(spriteName) {
     if (spriteCache[spriteName]) return spriteCache[spriteName];
     
     let sprite;
-    if (spriteName === 'BULLET') {
+    if (spriteName.startsWith('WALL_')) {
+        // Slice the texture out of the shared atlas
+        const texture = GAME_CONFIG.SPRITES.WALLS[spriteName];
+        if (texture) {
+            if (!spriteCache.WALL_ATLAS) spriteCache.WALL_ATLAS = generateWallAtlas();
+            const canvas = document.createElement('canvas');
+            canvas.width = texture.width;
+            canvas.height = texture.height;
+            canvas.getContext('2d').drawImage(spriteCache.WALL_ATLAS,
+                texture.x, texture.y, texture.width, texture.height,
+                0, 0, texture.width, texture.height
+            );
+            spriteCache[spriteName] = canvas;
+            return canvas;
+        }
+    } else if (spriteName === 'BULLET') {
         sprite = GAME_CONFIG.SPRITES.BULLET;
     } else if (spriteName.startsWith('ENEMY_')) {
         const index = parseInt(spriteName.split('_')[1]) - 1;
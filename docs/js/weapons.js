@@ -0,0 +1,251 @@
+import { castRay } from "./map.js";
+import { GUN_HEIGHT } from "./player.js";
+import { addImpact, hitEnemy, enemyHitRadius, TEAMS } from "./projectiles.js";
+import { emitEvent, GAME_EVENTS } from "./events.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Weapons: what the player carries, how each one fires and reloads.
+//
+// Every weapon has its own magazine and reserve in `state.arsenal`; reloading
+// moves rounds from the reserve into the magazine after `reloadMs`. Fire
+// modes: "semi" fires once per trigger pull (input.shoot), "auto" keeps
+// firing while the trigger is held (input.trigger). Shots are projectiles,
+// or instant hitscan traces, and projectiles with a `blast` explode.
+// ──────────────────────────────────────────────────────────────────────────────
+export const WEAPONS = {
+  pistol: {
+    name: "Pistol",
+    fireMode: "semi",
+    cooldownMs: 250,
+    damage: 25,
+    projectile: { speed: 0.25, lifetime: 2000 },
+    magazine: 12,
+    reserve: 48, // to start with
+    maxReserve: 96,
+    reloadMs: 1000,
+    drop: [3, 7], // rounds dropped by a kill while this is equipped
+  },
+  shotgun: {
+    name: "Shotgun",
+    fireMode: "semi",
+    cooldownMs: 700,
+    damage: 12, // per pellet
+    pellets: 7,
+    spread: 0.18, // radians either side of the crosshair
+    projectile: { speed: 0.22, lifetime: 450 },
+    magazine: 6,
+    reserve: 18,
+    maxReserve: 36,
+    reloadMs: 1800,
+    drop: [2, 4],
+  },
+  rifle: {
+    name: "Rifle",
+    fireMode: "auto",
+    cooldownMs: 110,
+    damage: 20,
+    hitscan: { range: 30 },
+    magazine: 30,
+    reserve: 90,
+    maxReserve: 180,
+    reloadMs: 1500,
+    drop: [5, 10],
+  },
+  launcher: {
+    name: "Launcher",
+    fireMode: "semi",
+    cooldownMs: 900,
+    damage: 0, // all of it comes from the blast
+    projectile: {
+      speed: 0.08,
+      lifetime: 4000,
+      blast: { radius: 2, damage: 150 },
+    },
+    magazine: 1,
+    reserve: 4,
+    maxReserve: 8,
+    reloadMs: 2000,
+    drop: [0, 1],
+  },
+};
+
+// Number keys 1-4 pick these, in order; scrolling cycles through them
+export const WEAPON_ORDER = ["pistol", "shotgun", "rifle", "launcher"];
+const MUZZLE_DISTANCE = 0.25; // shots start this far in front of the player
+
+/**
+ * Full magazines and starting reserves for every weapon, pistol in hand.
+ */
+export const createArsenal = () => ({
+  weapon: WEAPON_ORDER[0],
+  arsenal: Object.fromEntries(
+    WEAPON_ORDER.map((id) => [
+      id,
+      {
+        loaded: WEAPONS[id].magazine,
+        reserve: WEAPONS[id].reserve,
+        lastShot: null, // game time this weapon last fired, if it has
+      },
+    ]),
+  ),
+  reloadEndsAt: null, // game time the current reload finishes, if reloading
+});
+
+/** The equipped weapon's magazine, reserve and last shot. */
+export const currentAmmo = (state) => state.arsenal[state.weapon];
+
+/** True if the equipped weapon can still fire, now or after reloading. */
+export const hasAmmo = (state) =>
+  currentAmmo(state).loaded + currentAmmo(state).reserve > 0;
+
+/**
+ * Top up a weapon's reserve, up to its maximum.
+ *
+ * @param {Object} state
+ * @param {string} id - a WEAPONS key
+ * @param {number} rounds
+ */
+export function addAmmo(state, id, rounds) {
+  const ammo = state.arsenal[id];
+  ammo.reserve = Math.min(WEAPONS[id].maxReserve, ammo.reserve + rounds);
+}
+
+function startReload(state, now) {
+  const weapon = WEAPONS[state.weapon];
+  const ammo = currentAmmo(state);
+  if (state.reloadEndsAt !== null) return;
+  if (ammo.loaded >= weapon.magazine || ammo.reserve === 0) return;
+  state.reloadEndsAt = now + weapon.reloadMs;
+}
+
+function finishReload(state) {
+  const ammo = currentAmmo(state);
+  const rounds = Math.min(
+    WEAPONS[state.weapon].magazine - ammo.loaded,
+    ammo.reserve,
+  );
+  ammo.loaded += rounds;
+  ammo.reserve -= rounds;
+  state.reloadEndsAt = null;
+}
+
+// Switching puts the gun away mid-reload; the magazine stays as it was
+function equip(state, id) {
+  if (!id || id === state.weapon) return;
+  state.weapon = id;
+  state.reloadEndsAt = null;
+}
+
+// The first enemy along the crosshair before the wall, or the wall itself
+function traceShot(state, angle, { range }, damage, now) {
+  const { player } = state;
+  const wall = castRay(angle, player.x, player.y, angle);
+  const reach = Math.min(range, wall.rayLength);
+  const dx = Math.cos(angle);
+  const dy = Math.sin(angle);
+
+  const target = state.enemies
+    .map((enemy) => {
+      const along = (enemy.x - player.x) * dx + (enemy.y - player.y) * dy;
+      const across = Math.abs(
+        (enemy.x - player.x) * dy - (enemy.y - player.y) * dx,
+      );
+      return { enemy, along, across };
+    })
+    .filter(
+      ({ enemy, along, across }) =>
+        along > 0 && along < reach && across < enemyHitRadius(enemy),
+    )
+    .sort((a, b) => a.along - b.along)[0];
+
+  if (target) {
+    hitEnemy(state, target.enemy, damage, now);
+  } else if (wall.rayLength <= range) {
+    addImpact(state, wall.hitX, wall.hitY, GUN_HEIGHT, "#ffff00", 0.2, now);
+  }
+}
+
+function fireProjectile(state, angle, weapon, now) {
+  const { player } = state;
+  const projectile = {
+    id: state.nextId++,
+    x: player.x + Math.cos(angle) * MUZZLE_DISTANCE,
+    y: player.y + Math.sin(angle) * MUZZLE_DISTANCE,
+    z: GUN_HEIGHT,
+    angle,
+    speed: weapon.projectile.speed,
+    damage: weapon.damage,
+    lifetime: weapon.projectile.lifetime,
+    created: now,
+    team: TEAMS.PLAYER,
+    ...(weapon.projectile.blast ? { blast: weapon.projectile.blast } : {}),
+  };
+  state.projectiles.push(projectile);
+  return projectile;
+}
+
+// Pellets fan out evenly across the spread
+const shotAngles = (weapon, aim) => {
+  const pellets = weapon.pellets ?? 1;
+  if (pellets === 1) return [aim];
+  return Array.from(
+    { length: pellets },
+    (_, i) => aim - weapon.spread + (2 * weapon.spread * i) / (pellets - 1),
+  );
+};
+
+function fire(state, now) {
+  const weapon = WEAPONS[state.weapon];
+  const ammo = currentAmmo(state);
+  ammo.loaded--;
+  ammo.lastShot = now;
+
+  const projectiles = shotAngles(weapon, state.player.angle).flatMap(
+    (angle) => {
+      if (weapon.hitscan) {
+        traceShot(state, angle, weapon.hitscan, weapon.damage, now);
+        return [];
+      }
+      return [{ ...fireProjectile(state, angle, weapon, now) }];
+    },
+  );
+  emitEvent(state, GAME_EVENTS.SHOT_FIRED, {
+    weapon: state.weapon,
+    projectiles,
+    ammo: ammo.loaded,
+  });
+}
+
+/**
+ * One tick of the player's weapons: switching (number keys or cycling),
+ * reloading (asked for, or automatic on an empty magazine) and firing.
+ *
+ * @param {Object} state
+ * @param {Object} input - this tick's input (see simulation.createInput)
+ * @param {number} now - current time in ms
+ */
+export function updateWeapons(state, input, now) {
+  if (input.weapon) equip(state, WEAPON_ORDER[input.weapon - 1]);
+  if (input.cycle) {
+    const index = WEAPON_ORDER.indexOf(state.weapon) + input.cycle;
+    const count = WEAPON_ORDER.length;
+    equip(state, WEAPON_ORDER[(index + count) % count]);
+  }
+
+  if (state.reloadEndsAt !== null && now >= state.reloadEndsAt) {
+    finishReload(state);
+  }
+  if (input.reload) startReload(state, now);
+
+  const weapon = WEAPONS[state.weapon];
+  const pulled = weapon.fireMode === "auto" ? input.trigger : input.shoot;
+  if (!pulled || state.reloadEndsAt !== null) return;
+  if (currentAmmo(state).loaded === 0) {
+    startReload(state, now);
+    return;
+  }
+  const { lastShot } = currentAmmo(state);
+  if (lastShot === null || now - lastShot >= weapon.cooldownMs) {
+    fire(state, now);
+  }
+}
@@ -9,6 +9,8 @@ document.addEventListener('click', () => lastActivity = Date.now());
 // Check every 10 seconds if we should refresh
 setInterval(() => {
     if (Date.now() - lastActivity > 60000) { // 60 seconds
+        // Lets the game save the run first and pick it up after the reload
+        window.dispatchEvent(new Event('inactivityrefresh'));
         window.location.reload();
     }
 }, 10000);
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createGameState, createInput, step } from "../docs/js/simulation.js";
+import {
+  createFixedStepClock,
+  interpolateState,
+  TICK_MS,
+} from "../docs/js/clock.js";
+import {
+  createRecorder,
+  createPlayback,
+  validateReplay,
+  replayLevelData,
+} from "../docs/js/replay.js";
+import { collectDynamicLights } from "../docs/js/projectiles.js";
+import { loadLevel, getActiveLevel } from "../docs/js/level.js";
+import { generateLevel } from "../docs/js/generator.js";
+import { setDynamicLights } from "../docs/js/lighting.js";
+import { setActiveDoors } from "../docs/js/doors.js";
+import { randomSeed } from "../docs/js/random.js";
+import { renderView, renderHUD, ENTER_SCREEN, LEAVE_SCREEN } from "./screen.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Terminal front-end: runs the headless simulation (simulation.js) over
+// stdin/stdout, e.g. over SSH or in a CI container.
+//
+//   node terminal/main.js [--level arena | --seed abc [--style caves]]
+//                         [--run seed] [--record file | --replay file]
+//                         [--no-color] [--frames N]
+//
+// --run seeds spawns, drops and autoplay (a generated level's seed by
+// default), so the same seed and keys play out the same way.
+//
+// --record writes the last run to a replay file (replay.js) on quit, which
+// the browser or --replay can play back.
+//
+// Terminals report key presses but not releases, so a key counts as held
+// until KEY_HOLD_MS after its last press (auto-repeat keeps it alive).
+// ──────────────────────────────────────────────────────────────────────────────
+const FRAME_MS = 1000 / 30; // the simulation ticks at 60 Hz underneath
+const KEY_HOLD_MS = 150;
+const FIRST_KEY_HOLD_MS = 500; // covers the pause before auto-repeat starts
+const TURN_PER_TICK = 0.0375; // radians; about 2 turns per second
+const FALLBACK_SIZE = { columns: 80, rows: 24 };
+const SEEK_TICKS = Math.round(5000 / TICK_MS); // five seconds
+
+const DEFAULT_LEVEL = "arena";
+const LEVELS_DIR = new URL("../docs/levels/", import.meta.url);
+
+const WEAPON_KEYS = ["1", "2", "3", "4"];
+
+const KEY_ACTIONS = {
+  w: "w",
+  s: "s",
+  a: "a",
+  d: "d",
+  ",": "left",
+  ".": "right",
+  "\x1b[D": "left", // arrow keys
+  "\x1b[C": "right",
+  "\x1b[A": "w",
+  "\x1b[B": "s",
+};
+
+let state = null;
+let previousState = null;
+
+const keys = {
+  w: false,
+  s: false,
+  a: false,
+  d: false,
+  left: false,
+  right: false,
+  trigger: false, // space; held for automatic weapons
+};
+const heldUntil = {};
+// One-shot actions since the last tick
+const pending = { shoot: false, use: false, reload: false, weapon: 0 };
+
+const { values: options } = parseArgs({
+  options: {
+    level: { type: "string" },
+    seed: { type: "string" },
+    style: { type: "string" },
+    run: { type: "string" },
+    record: { type: "string" },
+    replay: { type: "string" },
+    "no-color": { type: "boolean", default: false },
+    frames: { type: "string" },
+  },
+});
+const maxFrames = options.frames ? Number(options.frames) : Infinity;
+const color =
+  !options["no-color"] && process.stdout.hasColors?.(2 ** 24) !== false;
+
+const levelSeed = options.seed === "" ? randomSeed() : options.seed;
+const runSeed = options.run ?? levelSeed ?? randomSeed();
+
+async function readLevel() {
+  if (levelSeed !== undefined) {
+    return generateLevel({ seed: levelSeed, style: options.style });
+  }
+  const name = options.level ?? DEFAULT_LEVEL;
+  const file = new URL(`${encodeURIComponent(name)}.json`, LEVELS_DIR);
+  return JSON.parse(await readFile(fileURLToPath(file), "utf8"));
+}
+
+function pressKey(action, now) {
+  const wasHeld = heldUntil[action] > now;
+  heldUntil[action] = now + (wasHeld ? KEY_HOLD_MS : FIRST_KEY_HOLD_MS);
+}
+
+function updateHeldKeys(now) {
+  Object.keys(keys).forEach((action) => {
+    keys[action] = heldUntil[action] > now;
+  });
+}
+
+// Held keys and pending actions as this tick's simulation input
+function readInput(now) {
+  updateHeldKeys(now);
+  const input = createInput({
+    w: keys.w,
+    s: keys.s,
+    a: keys.a,
+    d: keys.d,
+    turn: ((keys.right ? 1 : 0) - (keys.left ? 1 : 0)) * TURN_PER_TICK,
+    trigger: keys.trigger,
+    ...pending,
+  });
+  Object.assign(pending, {
+    shoot: false,
+    use: false,
+    reload: false,
+    weapon: 0,
+  });
+  return input;
+}
+
+function screenSize() {
+  return process.stdout.isTTY
+    ? { columns: process.stdout.columns, rows: process.stdout.rows }
+    : FALLBACK_SIZE;
+}
+
+function draw(status, frame) {
+  const { columns, rows } = screenSize();
+  setActiveDoors(frame.doors);
+  setDynamicLights(collectDynamicLights(frame, frame.time));
+  process.stdout.write(
+    renderView(frame, columns, rows - 2, { color }) +
+      `\x1b[${rows - 1};1H\x1b[0m${renderHUD(frame, columns)}` +
+      `\x1b[${rows};1H${status.slice(0, columns).padEnd(columns)}`,
+  );
+}
+
+function playbackStatus(playback) {
+  const seconds = (ticks) => ((ticks * TICK_MS) / 1000).toFixed(1);
+  return [
+    playback.paused ? "paused" : "replay",
+    `${seconds(playback.tick)}s / ${seconds(playback.length)}s`,
+    `${playback.speed}x`,
+    playback.camera ? "free camera" : "",
+    "space pause  </> seek  [/] speed  c camera  x quit",
+  ]
+    .filter(Boolean)
+    .join("  ");
+}
+
+const readJson = async (file) => JSON.parse(await readFile(file, "utf8"));
+
+const fetchLevelById = (id) =>
+  readJson(
+    fileURLToPath(new URL(`${encodeURIComponent(id)}.json`, LEVELS_DIR)),
+  );
+
+// --record: where the level came from, so the replay can load it again
+function replaySource(level) {
+  if (levelSeed !== undefined) {
+    return { id: level.id, seed: levelSeed, style: options.style };
+  }
+  return { id: level.id };
+}
+
+async function main() {
+  let playback = null;
+  let recorder = null;
+  let level = null;
+  const clock = createFixedStepClock();
+
+  // A fresh run; reloading the level resets its doors
+  const startRun = () => {
+    level = loadLevel(level);
+    state = createGameState(level, { seed: runSeed });
+    previousState = state;
+    recorder = createRecorder({ seed: runSeed, level: replaySource(level) });
+  };
+
+  if (options.replay) {
+    const replay = validateReplay(await readJson(options.replay));
+    playback = createPlayback(
+      replay,
+      await replayLevelData(replay, fetchLevelById),
+    );
+    level = getActiveLevel();
+  } else {
+    level = await readLevel();
+    startRun();
+  }
+
+  let loop = null;
+  const quit = async () => {
+    clearInterval(loop);
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+    process.stdout.write(LEAVE_SCREEN);
+    if (recorder && options.record) {
+      await writeFile(options.record, JSON.stringify(recorder.toReplay()));
+    }
+    process.exit(0);
+  };
+
+  const PLAYBACK_KEYS = {
+    " ": () => playback.togglePause(),
+    "<": () => playback.seek(playback.tick - SEEK_TICKS),
+    ">": () => playback.seek(playback.tick + SEEK_TICKS),
+    "[": () => playback.changeSpeed(-1),
+    "]": () => playback.changeSpeed(1),
+    c: () => playback.toggleFreeCamera(),
+  };
+
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (data) => {
+      const now = Date.now();
+      // Several keys can arrive in one chunk when auto-repeat outpaces us
+      const presses = data.match(/\x1b\[[A-D]|[\s\S]/g) ?? [];
+      presses.forEach((key) => {
+        if (key === "x" || key === "q" || key === "\x03") quit();
+        else if (playback && PLAYBACK_KEYS[key]) PLAYBACK_KEYS[key]();
+        else if (state?.gameOver && !playback) {
+          if (key === "r") startRun();
+        } else if (key === " ") {
+          pending.shoot = true;
+          pressKey("trigger", now);
+        } else if (key === "e") pending.use = true;
+        else if (key === "r") pending.reload = true;
+        else if (WEAPON_KEYS.includes(key)) {
+          pending.weapon = WEAPON_KEYS.indexOf(key) + 1;
+        } else if (KEY_ACTIONS[key]) pressKey(KEY_ACTIONS[key], now);
+      });
+    });
+  }
+  process.on("SIGINT", quit);
+  process.on("SIGTERM", quit);
+
+  process.stdout.write(ENTER_SCREEN);
+  let frames = 0;
+  loop = setInterval(() => {
+    const { ticks, alpha } = clock.advance();
+    let status;
+    if (playback) {
+      // Keys only steer the free camera
+      for (let i = 0; i < ticks; i++)
+        playback.moveCamera(readInput(Date.now()));
+      playback.advance(ticks);
+      ({ state, previousState } = playback);
+      status = playbackStatus(playback);
+    } else {
+      for (let i = 0; i < ticks && !state.gameOver; i++) {
+        const input = readInput(Date.now());
+        recorder.record(input);
+        previousState = state;
+        state = step(state, input);
+      }
+      status = state.gameOver
+        ? "You died. r: restart  x: quit"
+        : `${level.name} (run ${runSeed})  w/s a/d move  ,/. or arrows turn  space shoot  1-4 weapon  r reload  e use  x quit`;
+    }
+    const frame = interpolateState(previousState, state, alpha);
+    draw(
+      status,
+      playback?.camera
+        ? { ...frame, player: { ...frame.player, ...playback.camera } }
+        : frame,
+    );
+    if (++frames >= maxFrames) quit();
+  }, FRAME_MS);
+}
+
+main().catch((error) => {
+  process.stdout.write(LEAVE_SCREEN);
+  console.error("Failed to start terminal game:", error);
+  process.exit(1);
+});
@@ -0,0 +1,272 @@
+import { GAME_CONFIG, worldToScreen } from "../docs/js/utils.js";
+import {
+  castFloorAndCeiling,
+  castWalls,
+  hexToRgb,
+} from "../docs/js/surfaces.js";
+import { lightValue } from "../docs/js/lighting.js";
+import { pickupHeight, PICKUP_SIZE } from "../docs/js/collectibles.js";
+import { KEY_COLORS } from "../docs/js/doors.js";
+import { BULLET_SIZE } from "../docs/js/projectiles.js";
+import { WEAPONS, currentAmmo } from "../docs/js/weapons.js";
+import { enemiesRemaining, breakRemaining } from "../docs/js/director.js";
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Renders the 3D view as text. The view is raycast into an RGBA framebuffer
+// two pixels per character cell (cells are about twice as tall as wide), then
+// each cell is printed as a "▀" half block with truecolor foreground and
+// background, or, without colour, as one character of a brightness ramp.
+// ──────────────────────────────────────────────────────────────────────────────
+const SHADE_RAMP = " .:-=+*#%@";
+const HALF_BLOCK = "▀";
+const EDGE_SHADE = 0.75; // darken the ends of each wall face so tiles read
+const EDGE_WIDTH = 0.06;
+const NEAR_PLANE = 0.1;
+
+const FOG_RGB = hexToRgb(GAME_CONFIG.LIGHTING.FOG_COLOR);
+// Each enemy type gets a colour, and a glyph for when there's no colour
+const ENEMY_LOOKS = {
+  grunt: { color: [200, 40, 40], glyph: "@" },
+  runner: { color: [240, 120, 40], glyph: "r" },
+  tank: { color: [120, 20, 60], glyph: "T" },
+  charger: { color: [200, 40, 200], glyph: "C" },
+  gunner: { color: [60, 160, 60], glyph: "g" },
+  sniper: { color: [40, 120, 200], glyph: "s" },
+};
+const CHEESE_RGB = [240, 200, 60];
+const PROJECTILE_RGB = { player: [255, 255, 0], enemy: [255, 60, 200] };
+
+const ESC = "\x1b[";
+export const ENTER_SCREEN = `${ESC}?1049h${ESC}?25l`; // alternate screen, hide cursor
+export const LEAVE_SCREEN = `${ESC}0m${ESC}?25h${ESC}?1049l`;
+
+const frame = {
+  width: 0,
+  height: 0,
+  pixels: new Uint8ClampedArray(0),
+  depth: new Float32Array(0), // perpendicular wall distance per column
+  glyphs: [], // sprite characters for the no-colour ramp, per pixel
+};
+
+function resizeFrame(width, height) {
+  if (frame.width === width && frame.height === height) return;
+  frame.width = width;
+  frame.height = height;
+  frame.pixels = new Uint8ClampedArray(width * height * 4);
+  frame.depth = new Float32Array(width);
+  frame.glyphs = new Array(width * height);
+}
+
+function putPixel(x, y, [r, g, b], light, glyph) {
+  const offset = (y * frame.width + x) * 4;
+  const fog = 1 - light;
+  frame.pixels[offset] = r * light + FOG_RGB[0] * fog;
+  frame.pixels[offset + 1] = g * light + FOG_RGB[1] * fog;
+  frame.pixels[offset + 2] = b * light + FOG_RGB[2] * fog;
+  frame.glyphs[y * frame.width + x] = glyph;
+}
+
+// Walls in solid material colours, cast the same way as drawWalls so the two
+// front-ends see the same scene
+function drawWallColumn({ x, hit, material, top, bottom, light, faceShade }) {
+  const isEdge = hit.wallX < EDGE_WIDTH || hit.wallX > 1 - EDGE_WIDTH;
+  const shade = faceShade * (isEdge ? EDGE_SHADE : 1);
+  const color = hexToRgb(material.color).map((c) => c * shade);
+  for (let y = top; y < bottom; y++) putPixel(x, y, color, light, null);
+}
+
+// Everything in the world that isn't a wall, as flat-coloured rectangles
+function collectSprites(state) {
+  return [
+    ...state.enemies.map((enemy) => ({
+      x: enemy.x,
+      y: enemy.y,
+      z: enemy.size / 2,
+      halfWidth: enemy.size / 4,
+      halfHeight: enemy.size / 2,
+      ...ENEMY_LOOKS[enemy.type],
+    })),
+    ...state.collectibles
+      .filter((item) => !item.collected)
+      .map((item) => ({
+        x: item.x,
+        y: item.y,
+        z: pickupHeight(item),
+        halfWidth: PICKUP_SIZE / 2,
+        halfHeight: PICKUP_SIZE / 2,
+        color:
+          item.type === "KEY"
+            ? hexToRgb(KEY_COLORS[item.keyId] ?? "#ffffff")
+            : CHEESE_RGB,
+        glyph: item.type === "KEY" ? "k" : "c",
+      })),
+    ...state.projectiles.map((projectile) => ({
+      x: projectile.x,
+      y: projectile.y,
+      z: projectile.z,
+      halfWidth: BULLET_SIZE / 2,
+      halfHeight: BULLET_SIZE / 2,
+      color: PROJECTILE_RGB[projectile.team],
+      emissive: true,
+      glyph: "*",
+    })),
+    ...state.effects.map((effect) => ({
+      x: effect.x,
+      y: effect.y,
+      z: effect.z,
+      halfWidth: effect.radius,
+      halfHeight: effect.radius,
+      color: hexToRgb(effect.color),
+      emissive: true,
+      glyph: "*",
+    })),
+  ];
+}
+
+// Far to near, each pixel depth-tested against the wall in its column
+function drawSprites(state, player) {
+  const { width, height } = frame;
+  collectSprites(state)
+    .map((sprite) => ({
+      sprite,
+      projection: worldToScreen(
+        sprite.x,
+        sprite.y,
+        player.x,
+        player.y,
+        player.angle,
+        frame,
+        { z: sprite.z, pitch: player.pitch },
+      ),
+    }))
+    .filter(({ projection }) => projection.depth > NEAR_PLANE)
+    .sort((a, b) => b.projection.depth - a.projection.depth)
+    .forEach(
+      ({ sprite, projection: { screenX, screenY, size, depth, distance } }) => {
+        // At least one pixel, so distant things don't vanish at text resolution
+        const halfWidth = Math.max(0.5, sprite.halfWidth * size);
+        const halfHeight = Math.max(0.5, sprite.halfHeight * size);
+        const left = Math.max(0, Math.round(screenX - halfWidth));
+        const right = Math.min(width, Math.round(screenX + halfWidth));
+        const top = Math.max(0, Math.round(screenY - halfHeight));
+        const bottom = Math.min(height, Math.round(screenY + halfHeight));
+        const light = lightValue(sprite.x, sprite.y, distance, sprite.emissive);
+
+        for (let x = left; x < right; x++) {
+          if (depth >= frame.depth[x]) continue;
+          for (let y = top; y < bottom; y++) {
+            putPixel(x, y, sprite.color, light, sprite.glyph);
+          }
+        }
+      },
+    );
+}
+
+const rgbAt = (x, y) => {
+  const offset = (y * frame.width + x) * 4;
+  return frame.pixels.subarray(offset, offset + 3);
+};
+
+const brightness = ([r, g, b]) => (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+
+// Two framebuffer rows per text row: the top pixel is the "▀" foreground
+function encodeColor(rows) {
+  let output = "";
+  for (let row = 0; row < rows; row++) {
+    output += `${ESC}${row + 1};1H`;
+    let lastStyle = "";
+    for (let x = 0; x < frame.width; x++) {
+      const [r, g, b] = rgbAt(x, row * 2);
+      const [br, bg, bb] = rgbAt(x, row * 2 + 1);
+      const style = `${ESC}38;2;${r};${g};${b};48;2;${br};${bg};${bb}m`;
+      if (style !== lastStyle) output += style;
+      output += HALF_BLOCK;
+      lastStyle = style;
+    }
+    output += `${ESC}0m`;
+  }
+  return output;
+}
+
+// Plain text: sprites keep their glyph, everything else is ramp-shaded
+function encodePlain(rows) {
+  let output = "";
+  for (let row = 0; row < rows; row++) {
+    output += `${ESC}${row + 1};1H`;
+    for (let x = 0; x < frame.width; x++) {
+      const glyph =
+        frame.glyphs[row * 2 * frame.width + x] ??
+        frame.glyphs[(row * 2 + 1) * frame.width + x];
+      if (glyph) {
+        output += glyph;
+        continue;
+      }
+      const level =
+        (brightness(rgbAt(x, row * 2)) + brightness(rgbAt(x, row * 2 + 1))) / 2;
+      output +=
+        SHADE_RAMP[
+          Math.min(SHADE_RAMP.length - 1, Math.floor(level * SHADE_RAMP.length))
+        ];
+    }
+  }
+  return output;
+}
+
+/**
+ * Render the player's view into `columns` x `rows` character cells.
+ *
+ * @param {Object} state - game state ({player, enemies, collectibles, ...})
+ * @param {number} columns
+ * @param {number} rows
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - truecolor half blocks (default) or a
+ *   plain brightness ramp
+ * @returns {string} escape sequences that draw the view from the top left
+ */
+export function renderView(state, columns, rows, { color = true } = {}) {
+  resizeFrame(columns, rows * 2);
+  frame.glyphs.fill(null);
+  castFloorAndCeiling(frame.pixels, frame.width, frame.height, state.player);
+  castWalls(
+    frame.width,
+    frame.height,
+    state.player,
+    frame.depth,
+    drawWallColumn,
+  );
+  drawSprites(state, state.player);
+  return color ? encodeColor(rows) : encodePlain(rows);
+}
+
+const bar = (value, max, width) => {
+  const filled = Math.round((Math.max(0, value) / max) * width);
+  return `[${"#".repeat(filled)}${"-".repeat(width - filled)}]`;
+};
+
+const waveStatus = (state) => {
+  const nextWaveIn = Math.ceil(breakRemaining(state) / 1000);
+  return nextWaveIn > 0
+    ? `Wave ${state.director.wave + 1} in ${nextWaveIn}s`
+    : `Wave ${state.director.wave} (${enemiesRemaining(state)} left)`;
+};
+
+/**
+ * One line of status text: health, weapon and ammo, score, keys held, the
+ * wave and its enemies left.
+ *
+ * @param {Object} state
+ * @param {number} columns - the line is padded or cut to this width
+ */
+export function renderHUD(state, columns) {
+  const { health, maxHealth } = state.player;
+  const keys = state.inventory.keys.join(",") || "none";
+  const ammo = currentAmmo(state);
+  const text = [
+    `HP ${bar(health, maxHealth, 10)} ${Math.max(0, health)}`,
+    `${WEAPONS[state.weapon].name} ${ammo.loaded}/${ammo.reserve}${state.reloadEndsAt !== null ? " reloading" : ""}`,
+    `Score ${state.score}`,
+    `Keys ${keys}`,
+    waveStatus(state),
+  ].join("  ");
+  return text.slice(0, columns).padEnd(columns);
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel, LEVEL_FORMAT_VERSION } from "../docs/js/level.js";
+import { ENEMY_TYPES } from "../docs/js/enemy.js";
+import {
+  AI_STATES,
+  angleDifference,
+  canSeePlayer,
+  createAI,
+  think,
+} from "../docs/js/ai.js";
+
+const TURN = Math.PI * 2;
+
+// An open 12x12 room
+loadLevel({
+  version: LEVEL_FORMAT_VERSION,
+  id: "hall",
+  name: "Hall",
+  grid: Array.from({ length: 12 }, (_, y) =>
+    Array.from({ length: 12 }, (_, x) =>
+      x === 0 || y === 0 || x === 11 || y === 11 ? 1 : 0,
+    ),
+  ),
+  playerStart: { x: 8.5, y: 5.5 },
+  enemySpawns: [{ x: 2.5, y: 5.5 }],
+  pickups: [],
+});
+
+const grunt = ENEMY_TYPES.grunt;
+const player = { x: 8.5, y: 5.5 };
+const enemyFacing = (angle) => ({
+  x: 2.5,
+  y: 5.5,
+  angle,
+  health: grunt.health,
+  ai: createAI(0),
+});
+
+test("angleDifference ignores whole turns", () => {
+  assert.ok(Math.abs(angleDifference(10, 10 - 3 * TURN)) < 1e-9);
+  assert.ok(Math.abs(angleDifference(0.1, -0.1 + 5 * TURN) - 0.2) < 1e-9);
+  assert.ok(Math.abs(angleDifference(-4 * TURN, Math.PI) - Math.PI) < 1e-9);
+});
+
+test("an enemy wound round several turns still sees straight ahead", () => {
+  [0, 1, 3, -2, 7].forEach((turns) => {
+    const ahead = enemyFacing(turns * TURN);
+    const away = enemyFacing(turns * TURN + Math.PI);
+    assert.equal(canSeePlayer(ahead, grunt, player), true, `${turns} turns`);
+    assert.equal(canSeePlayer(away, grunt, player), false, `${turns} turns`);
+  });
+});
+
+test("an idle enemy that has turned round many times still notices", () => {
+  // Back to the player, after turning on the spot for a few full turns
+  let enemy = enemyFacing(Math.PI + 4 * TURN);
+  let now = 0;
+  while (enemy.ai.state === AI_STATES.IDLE && now < 60000) {
+    now += 1000 / 60;
+    enemy = think(enemy, grunt, player, [], now);
+  }
+  assert.equal(enemy.ai.state, AI_STATES.ALERT);
+  assert.equal(enemy.sees, true);
+});
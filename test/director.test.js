@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel, LEVEL_FORMAT_VERSION } from "../docs/js/level.js";
+import { createGameState, createInput, step } from "../docs/js/simulation.js";
+import {
+  DEFAULT_WAVES,
+  waveConfig,
+  findWaveProblems,
+} from "../docs/js/director.js";
+import { GAME_EVENTS } from "../docs/js/events.js";
+
+// An open 8x8 room; its one enemy spawn is right in front of the player
+const box = (waves) => ({
+  version: LEVEL_FORMAT_VERSION,
+  id: "box",
+  name: "Box",
+  grid: Array.from({ length: 8 }, (_, y) =>
+    Array.from({ length: 8 }, (_, x) =>
+      x === 0 || y === 0 || x === 7 || y === 7 ? 1 : 0,
+    ),
+  ),
+  playerStart: { x: 2.5, y: 3.5, angle: 0 },
+  enemySpawns: [{ x: 4.5, y: 3.5 }],
+  pickups: [],
+  ...(waves ? { waves } : {}),
+});
+
+test("levels without waves get the defaults", () => {
+  assert.deepEqual(waveConfig(box()), DEFAULT_WAVES);
+  assert.equal(waveConfig(box({ breakMs: 500 })).breakMs, 500);
+});
+
+test("waveConfig rejects bad settings with every problem listed", () => {
+  const level = box({
+    breakMs: -1,
+    maxAlive: 0,
+    list: [{ grunt: 1.5, dragon: 2 }],
+  });
+  assert.deepEqual(findWaveProblems(level), [
+    "waves.breakMs must be a number, 0 or more",
+    "waves.maxAlive must be at least 1",
+    "waves.list[0].grunt must be a whole number, 0 or more",
+    'waves.list[0]: unknown enemy type "dragon"',
+  ]);
+  assert.throws(
+    () => waveConfig(level),
+    /^Error: Invalid level "box":\n {2}waves\.breakMs/,
+  );
+  assert.throws(
+    () => waveConfig(box({ list: [] })),
+    /waves\.list must be a non-empty array of waves/,
+  );
+});
+
+test("a wave still spawns when every spawn point is in view and close", () => {
+  const level = loadLevel(box({ firstBreakMs: 0, list: [{ grunt: 1 }] }));
+  let state = createGameState(level, { seed: "abc" });
+  const cleared = [];
+  for (let tick = 0; tick < 60 * 15 && cleared.length === 0; tick++) {
+    state = step(state, createInput());
+    state.autoplay.lastActivity = state.time; // keep autoplay out of it
+    state.player.health = state.player.maxHealth;
+    state.enemies = []; // kill anything that turns up
+    state.events
+      .filter((event) => event.type === GAME_EVENTS.WAVE_CLEARED)
+      .forEach((event) => cleared.push(event.wave));
+  }
+  assert.deepEqual(cleared, [1]);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel, LEVEL_FORMAT_VERSION } from "../docs/js/level.js";
+import { createGameState, createInput, step } from "../docs/js/simulation.js";
+import {
+  DOOR_TILE,
+  DOOR_TRIGGER,
+  onDoorChange,
+  setActiveDoors,
+} from "../docs/js/doors.js";
+
+// A corridor with a door half way along, opened as the level says
+const corridor = (door) => ({
+  version: LEVEL_FORMAT_VERSION,
+  id: "corridor",
+  name: "Corridor",
+  grid: [
+    [1, 1, 1, 1, 1, 1, 1],
+    [1, 0, 0, DOOR_TILE, 0, 0, 1],
+    [1, 1, 1, 1, 1, 1, 1],
+  ],
+  playerStart: { x: 1.5, y: 1.5, angle: 0 },
+  enemySpawns: [{ x: 5.5, y: 1.5 }],
+  pickups: [],
+  doors: [{ x: 3, y: 1, ...door }],
+});
+
+const walk = (state, ticks, input = createInput({ w: true })) => {
+  let current = state;
+  for (let i = 0; i < ticks; i++) current = step(current, input);
+  return current;
+};
+
+test("doors start closed, across the corridor", () => {
+  const state = createGameState(loadLevel(corridor()), { seed: "abc" });
+  assert.deepEqual(Object.keys(state.doors), ["3,1"]);
+  assert.equal(state.doors["3,1"].axis, "x");
+  assert.equal(state.doors["3,1"].passable, false);
+});
+
+test("a proximity door opens for the player and lets them through", () => {
+  const level = loadLevel(corridor());
+  const state = walk(createGameState(level, { seed: "abc" }), 120);
+  assert.ok(state.player.x > 4, `player stopped at x = ${state.player.x}`);
+});
+
+test("a locked door stays shut without its key", () => {
+  const level = loadLevel(
+    corridor({ trigger: DOOR_TRIGGER.PROXIMITY, key: "red" }),
+  );
+  const state = walk(createGameState(level, { seed: "abc" }), 120);
+  assert.equal(state.doors["3,1"].openAmount, 0);
+  assert.ok(state.player.x < 3, `player got to x = ${state.player.x}`);
+});
+
+test("door listeners only hear about doors that open or close", () => {
+  const level = loadLevel(corridor());
+  let state = createGameState(level, { seed: "abc" });
+  let changes = 0;
+  onDoorChange(() => changes++);
+  state = walk(state, 10, createInput());
+  setActiveDoors(state.doors);
+  assert.equal(changes, 0);
+  state = walk(state, 120);
+  assert.equal(changes, 1, "the door became passable once");
+});
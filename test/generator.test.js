@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateLevel, GENERATOR_STYLE } from "../docs/js/generator.js";
+import { validateLevel, findUnreachableTiles } from "../docs/js/level.js";
+
+const styles = Object.values(GENERATOR_STYLE);
+
+test("the same seed gives the same level", () => {
+  styles.forEach((style) => {
+    assert.deepEqual(
+      generateLevel({ seed: "abc", style }),
+      generateLevel({ seed: "abc", style }),
+    );
+    assert.notDeepEqual(
+      generateLevel({ seed: "abc", style }).grid,
+      generateLevel({ seed: "xyz", style }).grid,
+    );
+  });
+});
+
+test("generated levels are valid and every floor tile can be reached", () => {
+  styles.forEach((style) => {
+    const level = generateLevel({ seed: "abc", style });
+    assert.deepEqual(validateLevel(level), level);
+    assert.deepEqual(findUnreachableTiles(level), []);
+  });
+});
+
+test("unknown styles are rejected", () => {
+  assert.throws(
+    () => generateLevel({ seed: "abc", style: "mazes" }),
+    /Unknown generator style "mazes"/,
+  );
+});
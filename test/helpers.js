@@ -0,0 +1,50 @@
+import { readFileSync } from "node:fs";
+import { createInput, step } from "../docs/js/simulation.js";
+
+// Shared fixtures for the tests (run with `npm test`)
+
+/** Parsed JSON of one of the levels in docs/levels. */
+export const levelData = (id) =>
+  JSON.parse(
+    readFileSync(new URL(`../docs/levels/${id}.json`, import.meta.url)),
+  );
+
+/**
+ * The input for one tick of a fixed script: walks, strafes, turns, looks
+ * up and down, shoots, reloads, switches to the rifle once and uses doors.
+ *
+ * @param {number} tick
+ */
+export const scriptedInput = (tick) =>
+  createInput({
+    w: tick % 200 < 120,
+    a: tick % 500 < 40,
+    turn: tick % 300 < 50 ? 0.03 : 0,
+    pitch: tick % 400 === 0 ? 0.1 : 0,
+    shoot: tick % 37 === 0,
+    trigger: tick % 37 === 0,
+    use: tick % 90 === 0,
+    weapon: tick === 600 ? 3 : 0,
+    reload: tick % 450 === 0,
+  });
+
+/**
+ * Step a state through ticks `from` up to (not including) `to` of the
+ * script.
+ *
+ * @param {Object} state
+ * @param {number} from
+ * @param {number} to
+ * @param {(input: Object) => void} [record] - sees every input, e.g. a
+ *   replay recorder's record()
+ * @returns {Object} the last state
+ */
+export function playScript(state, from, to, record = () => {}) {
+  let current = state;
+  for (let tick = from; tick < to; tick++) {
+    const input = scriptedInput(tick);
+    record(input);
+    current = step(current, input);
+  }
+  return current;
+}
@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateLevel,
+  findPlayabilityProblems,
+  findUnreachableTiles,
+  serializeLevel,
+  LEVEL_FORMAT_VERSION,
+} from "../docs/js/level.js";
+
+// A 6x5 room with a wall down the middle of the right-hand half
+const room = (overrides = {}) => ({
+  version: LEVEL_FORMAT_VERSION,
+  id: "room",
+  name: "Room",
+  grid: [
+    [1, 1, 1, 1, 1, 1],
+    [1, 0, 0, 1, 0, 1],
+    [1, 0, 0, 1, 0, 1],
+    [1, 0, 0, 0, 0, 1],
+    [1, 1, 1, 1, 1, 1],
+  ],
+  playerStart: { x: 1.5, y: 1.5 },
+  enemySpawns: [{ x: 4.5, y: 1.5 }],
+  pickups: [],
+  ...overrides,
+});
+
+const rejects = (data, ...problems) =>
+  assert.throws(
+    () => validateLevel(data),
+    (error) =>
+      error.message.startsWith(`Invalid level "${data.id ?? "?"}"`) &&
+      problems.every((problem) => error.message.includes(problem)),
+  );
+
+test("a valid level is normalised", () => {
+  const level = validateLevel(room());
+  assert.equal(level.playerStart.angle, 0);
+  assert.deepEqual(level.doors, []);
+  assert.equal(level.floor.length, level.grid.length);
+});
+
+test("validateLevel rejects other format versions and missing ids", () => {
+  rejects(
+    room({ version: LEVEL_FORMAT_VERSION + 1, id: "" }),
+    `unsupported version ${LEVEL_FORMAT_VERSION + 1}`,
+    "id must be a non-empty string",
+  );
+});
+
+test("validateLevel rejects malformed grids", () => {
+  rejects(room({ grid: [] }), "grid must be a non-empty array of rows");
+  rejects(
+    room({
+      grid: [
+        [1, 1, 1],
+        [1, 0],
+      ],
+    }),
+    "grid row 1 must have 3 tiles",
+  );
+  rejects(
+    room({
+      grid: [
+        [1, 1, 1],
+        [1, -1, 1],
+        [1, 1, 1],
+      ],
+    }),
+    "grid[1][1] must be a non-negative integer",
+  );
+});
+
+test("validateLevel rejects spawns and starts off the floor", () => {
+  rejects(
+    room({
+      playerStart: { x: 0.5, y: 0.5 },
+      enemySpawns: [],
+    }),
+    "is not on a floor tile",
+    "enemySpawns must be a non-empty array",
+  );
+});
+
+test("validateLevel rejects doors and switches that point at no door", () => {
+  rejects(
+    room({
+      id: "doors",
+      doors: [{ x: 1, y: 1 }],
+      switches: {},
+    }),
+    "doors[0] must point at a door tile",
+    "switches must be an array",
+  );
+});
+
+test("findPlayabilityProblems reports spawns that can't reach the player", () => {
+  const walledOff = room({
+    grid: [
+      [1, 1, 1, 1, 1, 1],
+      [1, 0, 0, 1, 0, 1],
+      [1, 0, 0, 1, 0, 1],
+      [1, 0, 0, 1, 0, 1],
+      [1, 1, 1, 1, 1, 1],
+    ],
+  });
+  assert.deepEqual(findPlayabilityProblems(room()), []);
+  assert.deepEqual(findPlayabilityProblems(walledOff), [
+    "enemy spawn (4.5, 1.5) can't reach the player",
+  ]);
+  assert.deepEqual(
+    findUnreachableTiles(validateLevel(walledOff)).map(({ x, y }) => [x, y]),
+    [
+      [4, 1],
+      [4, 2],
+      [4, 3],
+    ],
+  );
+  assert.deepEqual(findPlayabilityProblems(room({ id: "" })), [
+    "id must be a non-empty string",
+  ]);
+});
+
+test("findUnreachableTiles reaches the far end of a long corridor", () => {
+  const corridor = room({
+    grid: [0, 1, 2].map((y) =>
+      Array.from({ length: 150 }, (_, x) =>
+        y === 1 && x > 0 && x < 149 ? 0 : 1,
+      ),
+    ),
+    enemySpawns: [{ x: 148.5, y: 1.5 }],
+  });
+  assert.deepEqual(findUnreachableTiles(validateLevel(corridor)), []);
+});
+
+test("serializeLevel round-trips through validateLevel", () => {
+  const level = validateLevel(room());
+  assert.deepEqual(validateLevel(JSON.parse(serializeLevel(level))), level);
+});
+
+test("validateLevel only takes an object for waves", () => {
+  rejects(room({ waves: [{ grunt: 1 }] }), "waves must be an object");
+  assert.equal("waves" in validateLevel(room()), false);
+  assert.deepEqual(validateLevel(room({ waves: { breakMs: 1 } })).waves, {
+    breakMs: 1,
+  });
+});
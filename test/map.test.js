@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel, LEVEL_FORMAT_VERSION } from "../docs/js/level.js";
+import { hasLineOfSight } from "../docs/js/map.js";
+
+// An open 8x8 room with one pillar at (4, 3)
+loadLevel({
+  version: LEVEL_FORMAT_VERSION,
+  id: "pillar",
+  name: "Pillar",
+  grid: Array.from({ length: 8 }, (_, y) =>
+    Array.from({ length: 8 }, (_, x) =>
+      x === 0 || y === 0 || x === 7 || y === 7 || (x === 4 && y === 3) ? 1 : 0,
+    ),
+  ),
+  playerStart: { x: 1.5, y: 1.5 },
+  enemySpawns: [{ x: 6.5, y: 6.5 }],
+  pickups: [],
+});
+
+test("hasLineOfSight sees across open floor", () => {
+  assert.equal(hasLineOfSight(1.5, 5.5, 6.5, 6.5), true);
+  assert.equal(hasLineOfSight(6.5, 1.5, 1.5, 2.5), true);
+});
+
+test("hasLineOfSight is blocked by a wall in the way", () => {
+  assert.equal(hasLineOfSight(1.5, 3.5, 6.5, 3.5), false);
+  assert.equal(hasLineOfSight(4.5, 1.5, 4.5, 6.5), false);
+});
+
+test("hasLineOfSight doesn't slip past the corner of a wall", () => {
+  // Clips the pillar's north-east corner by a few hundredths of a tile
+  assert.equal(hasLineOfSight(1.5, 1.5, 6.5, 3.661), false);
+  assert.equal(hasLineOfSight(6.5, 3.661, 1.5, 1.5), false);
+});
+
+test("hasLineOfSight ignores the tiles holding its end points", () => {
+  assert.equal(hasLineOfSight(4.5, 3.5, 6.5, 3.5), true);
+  assert.equal(hasLineOfSight(0.5, 1.5, 6.5, 1.5), true);
+});
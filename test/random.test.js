@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRng, createStreams, streamRng } from "../docs/js/random.js";
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+test("the same seed gives the same sequence", () => {
+  assert.deepEqual(draw(createRng("abc"), 20), draw(createRng("abc"), 20));
+  assert.notDeepEqual(draw(createRng("abc"), 20), draw(createRng("abd"), 20));
+  draw(createRng(42), 1000).forEach((value) => {
+    assert.ok(value >= 0 && value < 1);
+  });
+});
+
+test("int stays in its inclusive range and reaches both ends", () => {
+  const rng = createRng("dice");
+  const rolls = new Set(Array.from({ length: 500 }, () => rng.int(1, 6)));
+  assert.deepEqual([...rolls].sort(), [1, 2, 3, 4, 5, 6]);
+});
+
+test("streams advance in place and don't disturb each other", () => {
+  const streams = createStreams("abc", ["spawn", "loot"]);
+  const untouched = createStreams("abc", ["spawn", "loot"]);
+  const loot = draw(streamRng(streams, "loot"), 5);
+
+  assert.equal(streams.spawn, untouched.spawn);
+  assert.notEqual(streams.loot, untouched.loot);
+  assert.deepEqual(loot, draw(streamRng(untouched, "loot"), 5));
+  // Carries on where it left off, e.g. after a snapshot restore
+  assert.deepEqual(
+    draw(streamRng(structuredClone(streams), "loot"), 5),
+    draw(streamRng(untouched, "loot"), 5),
+  );
+});
+
+test("unknown streams are rejected", () => {
+  assert.throws(
+    () => streamRng(createStreams("abc", ["spawn"]), "weather"),
+    /Unknown random stream "weather"/,
+  );
+});
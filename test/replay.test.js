@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel } from "../docs/js/level.js";
+import { createGameState } from "../docs/js/simulation.js";
+import {
+  createRecorder,
+  createPlayback,
+  validateReplay,
+} from "../docs/js/replay.js";
+import { levelData, playScript } from "./helpers.js";
+
+// A recorded run on vault (it has doors), and the state it ended in
+function recordRun(ticks) {
+  const level = loadLevel(levelData("vault"));
+  const recorder = createRecorder({ seed: "abc", level: { id: "vault" } });
+  const state = playScript(
+    createGameState(level, { seed: "abc" }),
+    0,
+    ticks,
+    recorder.record,
+  );
+  return { state, recorder };
+}
+
+test("a replay survives JSON and plays back to the same state", () => {
+  const { state, recorder } = recordRun(1200);
+  const replay = validateReplay(
+    JSON.parse(JSON.stringify(recorder.toReplay())),
+  );
+  assert.equal(replay.ticks, 1200);
+
+  const playback = createPlayback(replay, levelData("vault"));
+  playback.advance(replay.ticks);
+  assert.equal(playback.tick, 1200);
+  assert.deepEqual(playback.state, state);
+});
+
+test("seeking back and forth lands on the same states", () => {
+  const { recorder } = recordRun(800);
+  const playback = createPlayback(recorder.toReplay(), levelData("vault"));
+  playback.seek(600);
+  const at600 = playback.state;
+  playback.seek(200);
+  playback.seek(600);
+  assert.deepEqual(playback.state, at600);
+});
+
+test("seeking back past keyframes matches playing straight through", () => {
+  const { recorder } = recordRun(1600);
+  const replay = recorder.toReplay();
+  const seeking = createPlayback(replay, levelData("vault"));
+  seeking.seek(1500);
+  seeking.seek(700);
+  const straight = createPlayback(replay, levelData("vault"));
+  straight.advance(700);
+  assert.equal(seeking.tick, 700);
+  assert.deepEqual(seeking.state, straight.state);
+  assert.deepEqual(seeking.previousState, straight.previousState);
+  seeking.seek(1600);
+  straight.seek(1600);
+  assert.deepEqual(seeking.state, straight.state);
+});
+
+test("malformed replays are rejected with every problem listed", () => {
+  assert.throws(
+    () =>
+      validateReplay({
+        version: 0,
+        seed: null,
+        level: {},
+        ticks: 3,
+        input: [[0, 1]],
+      }),
+    (error) =>
+      [
+        "unsupported version 0",
+        "seed must be a string or number",
+        "level.id must be a string",
+        "input[0] must be",
+        "ticks is 3 but input covers 0",
+      ].every((problem) => error.message.includes(problem)),
+  );
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel } from "../docs/js/level.js";
+import { createGameState, step } from "../docs/js/simulation.js";
+import { levelData, scriptedInput, playScript } from "./helpers.js";
+
+const play = (level, seed, ticks) =>
+  playScript(createGameState(level, { seed }), 0, ticks);
+
+test("the same seed and inputs give the same state", () => {
+  const level = loadLevel(levelData("arena"));
+  assert.deepEqual(play(level, "abc", 1500), play(level, "abc", 1500));
+});
+
+test("different seeds give different runs", () => {
+  const level = loadLevel(levelData("arena"));
+  assert.notDeepEqual(
+    play(level, "abc", 1500).enemies,
+    play(level, "xyz", 1500).enemies,
+  );
+});
+
+test("step leaves the state it was given untouched", () => {
+  const level = loadLevel(levelData("vault"));
+  const state = play(level, "abc", 300);
+  const before = structuredClone(state);
+  step(state, scriptedInput(300));
+  assert.deepEqual(state, before);
+});
+
+test("stepping the same state twice gives the same result", () => {
+  const level = loadLevel(levelData("vault"));
+  let state = createGameState(level, { seed: "abc" });
+  let saved = null;
+  for (let tick = 0; tick < 1000 && !saved; tick++) {
+    state = step(state, scriptedInput(tick));
+    const doorOpening = Object.values(state.doors).some(
+      (door) => door.openAmount > 0 && door.openAmount < 1,
+    );
+    if (doorOpening) saved = { state, tick };
+  }
+  assert.ok(saved, "the script should get a door moving");
+
+  const first = step(saved.state, scriptedInput(saved.tick + 1));
+  // Another run in between must not leak into the saved one
+  play(level, "xyz", 200);
+  const second = step(saved.state, scriptedInput(saved.tick + 1));
+  assert.deepEqual(second, first);
+});
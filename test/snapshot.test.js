@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel } from "../docs/js/level.js";
+import { createGameState } from "../docs/js/simulation.js";
+import { createRecorder } from "../docs/js/replay.js";
+import {
+  createSnapshot,
+  validateSnapshot,
+  restoreSnapshot,
+  saveToSlot,
+  loadFromSlot,
+  clearSlot,
+} from "../docs/js/snapshot.js";
+import { levelData, playScript } from "./helpers.js";
+
+// Just enough of localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    setItem: (key, value) => items.set(key, String(value)),
+    getItem: (key) => items.get(key) ?? null,
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+test("a snapshot resumes the run where it left off", () => {
+  const level = loadLevel(levelData("vault"));
+  const recorder = createRecorder({ seed: "abc", level: { id: "vault" } });
+  const state = playScript(
+    createGameState(level, { seed: "abc" }),
+    0,
+    600,
+    recorder.record,
+  );
+  const storage = memoryStorage();
+  saveToSlot(
+    "1",
+    createSnapshot(state, { id: "vault" }, recorder.toReplay()),
+    storage,
+  );
+
+  const carriedOn = playScript(state, 600, 1000);
+  loadLevel(levelData("arena")); // somewhere else in between
+  const snapshot = loadFromSlot("1", storage);
+  const resumed = playScript(
+    restoreSnapshot(snapshot, levelData("vault")),
+    600,
+    1000,
+  );
+  assert.deepEqual(resumed, carriedOn);
+  assert.equal(snapshot.replay.ticks, 600);
+});
+
+test("empty slots load as null", () => {
+  const storage = memoryStorage();
+  assert.equal(loadFromSlot("2", storage), null);
+  saveToSlot("2", createSnapshot({}, { id: "vault" }), storage);
+  clearSlot("2", storage);
+  assert.equal(loadFromSlot("2", storage), null);
+});
+
+test("malformed snapshots are rejected with every problem listed", () => {
+  assert.throws(
+    () => validateSnapshot({ version: 0, level: {}, state: { time: 0 } }),
+    (error) =>
+      error.message.startsWith("Invalid snapshot:") &&
+      error.message.includes("unsupported version 0") &&
+      error.message.includes("level.id must be a string") &&
+      error.message.includes("state is missing random, player"),
+  );
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLevel } from "../docs/js/level.js";
+import { createGameState, createInput } from "../docs/js/simulation.js";
+import { WEAPONS, updateWeapons } from "../docs/js/weapons.js";
+import { levelData } from "./helpers.js";
+
+test("each weapon keeps its own cooldown", () => {
+  const state = createGameState(loadLevel(levelData("arena")), {
+    seed: "abc",
+  });
+  const loaded = (id) => state.arsenal[id].loaded;
+  const shoot = (now, weapon = 0) =>
+    updateWeapons(state, createInput({ shoot: true, weapon }), now);
+
+  shoot(0, 2);
+  assert.equal(loaded("shotgun"), WEAPONS.shotgun.magazine - 1);
+  // A fresh pistol fires straight away, however recently the shotgun did
+  shoot(100, 1);
+  assert.equal(loaded("pistol"), WEAPONS.pistol.magazine - 1);
+  // ...but the shotgun is still cooling down when it comes back
+  shoot(200, 2);
+  assert.equal(loaded("shotgun"), WEAPONS.shotgun.magazine - 1);
+  shoot(WEAPONS.shotgun.cooldownMs);
+  assert.equal(loaded("shotgun"), WEAPONS.shotgun.magazine - 2);
+});